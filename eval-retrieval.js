@@ -0,0 +1,289 @@
+// Offline retrieval evaluation for retrieveContext.
+//
+//   node eval-retrieval.js run --golden eval/sample-golden.json --configs eval/sample-configs.json [--k 1,5,10] [--json]
+//   node eval-retrieval.js record --golden eval/golden.json --out eval/store.json [--documents a,b] [--max-chunks 5000]
+//
+// `run` needs no network: it scores each config against a fixture store (chunks + recorded
+// embeddings) and prints recall@k, MRR and nDCG@k side by side. `record` builds that store from
+// the live library and embeds the golden questions with EMBED_MODEL (needs Supabase + OpenAI).
+//
+// Golden set: { "name", "queries": [{ "id", "question", "expected": [{ "document_id", "page_number"?, "chunk_index"?, "grade"? }] }] }
+// Omitted page_number/chunk_index match any chunk of that document; grade (default 1) feeds nDCG.
+//
+// Store: { "embed_model", "chunks": [{ document_id, page_number, chunk_index, content, embedding }], "query_embeddings": { question: [...] } }
+//
+// Configs: [{ "name", "store", "threshold", "topK", "mode": "vector"|"hybrid", "noise_rules"? }]
+// Store paths are relative to the configs file; noise_rules replaces the built-in defaults.
+import "dotenv/config";
+import fs from "node:fs";
+import path from "node:path";
+
+// server.js validates env on import; `run` only needs these to be present
+process.env.SERVER_NO_LISTEN = "1";
+const command = process.argv[2];
+if (command === "run") {
+  process.env.SUPABASE_URL ||= "http://fixture.invalid";
+  process.env.SUPABASE_SERVICE_ROLE_KEY ||= "fixture";
+  process.env.LLM_PROVIDER ||= "mock";
+}
+
+const { retrieveContext, llmEmbed, compileNoiseRule, DEFAULT_NOISE_RULES, DOCUMENTS_TABLE, EMBED_MODEL } =
+  await import("./server.js");
+
+function arg(name, fallback = null) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i > -1 ? process.argv[i + 1] : fallback;
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// ---- fixture store: stands in for the Supabase RPCs retrieveContext calls ----
+
+function cosine(a, b) {
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return dot / (Math.sqrt(na) * Math.sqrt(nb) || 1);
+}
+
+function terms(text) {
+  return String(text || "").toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+// Fixtures carry chunks only, so just the chunk-level filters can be applied
+const FIXTURE_FILTER_KEYS = ["document_ids", "exclude_document_ids", "page_from", "page_to"];
+
+function matchesFilter(c, f) {
+  if (!f) return true;
+  if (f.document_ids && !f.document_ids.includes(c.document_id)) return false;
+  if (f.exclude_document_ids?.includes(c.document_id)) return false;
+  if (f.page_from != null && c.page_number < f.page_from) return false;
+  if (f.page_to != null && c.page_number > f.page_to) return false;
+  return true;
+}
+
+function createFixtureStore(store) {
+  const chunks = store.chunks.map((c) => ({ ...c, terms: terms(c.content) }));
+  const df = new Map();
+  for (const c of chunks) for (const t of new Set(c.terms)) df.set(t, (df.get(t) || 0) + 1);
+
+  const row = (c, extra) => ({
+    document_id: c.document_id,
+    page_number: c.page_number,
+    chunk_index: c.chunk_index,
+    content: c.content,
+    ...extra,
+  });
+
+  const rpcs = {
+    match_documents({ query_embedding, match_threshold, match_count, filter }) {
+      return chunks
+        .filter((c) => matchesFilter(c, filter))
+        .map((c) => row(c, { similarity: cosine(query_embedding, c.embedding) }))
+        .filter((r) => r.similarity >= match_threshold)
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, match_count);
+    },
+    // tf-idf over whole words, close enough to ts_rank for comparing configs
+    match_documents_keyword({ query_text, match_count, filter }) {
+      const q = [...new Set(terms(query_text))];
+      return chunks
+        .filter((c) => matchesFilter(c, filter))
+        .map((c) => {
+          const rank = q.reduce((s, t) => {
+            const tf = c.terms.filter((x) => x === t).length;
+            return tf ? s + (tf / c.terms.length) * Math.log(chunks.length / df.get(t)) : s;
+          }, 0);
+          return row(c, { rank });
+        })
+        .filter((r) => r.rank > 0)
+        .sort((a, b) => b.rank - a.rank)
+        .slice(0, match_count);
+    },
+  };
+
+  return {
+    async rpc(name, params) {
+      if (!rpcs[name]) return { data: null, error: { message: `fixture store has no rpc ${name}` } };
+      const unsupported = Object.keys(params.filter || {}).filter((k) => !FIXTURE_FILTER_KEYS.includes(k));
+      if (unsupported.length) {
+        return { data: null, error: { message: `fixture store has no document metadata for filter ${unsupported.join(", ")}` } };
+      }
+      return { data: rpcs[name](params), error: null };
+    },
+  };
+}
+
+// ---- metrics ----
+
+function isRelevant(hit, exp) {
+  if (hit.document_id !== exp.document_id) return false;
+  if (exp.page_number != null && hit.page_number !== exp.page_number) return false;
+  if (exp.chunk_index != null && hit.chunk_index !== exp.chunk_index) return false;
+  return true;
+}
+
+// Each expected item is credited once, at the first hit that matches it
+function scoreQuery(hits, expected, ks) {
+  const found = new Map(); // expected index -> rank (1-based)
+  hits.forEach((h, i) => {
+    expected.forEach((exp, j) => {
+      if (!found.has(j) && isRelevant(h, exp)) found.set(j, i + 1);
+    });
+  });
+
+  const firstRank = found.size ? Math.min(...found.values()) : null;
+  const out = { mrr: firstRank ? 1 / firstRank : 0, first_rank: firstRank };
+
+  const ideal = expected.map((e) => e.grade ?? 1).sort((a, b) => b - a);
+  for (const k of ks) {
+    const inTopK = [...found.values()].filter((r) => r <= k).length;
+    out[`recall@${k}`] = expected.length ? inTopK / expected.length : 0;
+
+    let dcg = 0;
+    for (const [j, r] of found) if (r <= k) dcg += (expected[j].grade ?? 1) / Math.log2(r + 1);
+    const idcg = ideal.slice(0, k).reduce((s, g, i) => s + g / Math.log2(i + 2), 0);
+    out[`ndcg@${k}`] = idcg ? dcg / idcg : 0;
+  }
+  return out;
+}
+
+async function runConfig(config, golden, ks, baseDir) {
+  const store = readJson(path.resolve(baseDir, config.store));
+  const db = createFixtureStore(store);
+  const noiseRules = (config.noise_rules || DEFAULT_NOISE_RULES).map((r) => compileNoiseRule(r));
+  const topK = Math.max(config.topK ?? 10, ...ks);
+
+  const perQuery = [];
+  for (const q of golden.queries) {
+    const queryEmbedding = store.query_embeddings?.[q.question];
+    if (!queryEmbedding) throw new Error(`${config.name}: no recorded embedding for "${q.question}"`);
+
+    const hits = await retrieveContext({
+      queryEmbedding,
+      queryText: q.question,
+      topK,
+      threshold: config.threshold ?? 0.75,
+      mode: config.mode || "vector",
+      rerank: false,
+      db,
+      noiseRules,
+    });
+    perQuery.push({ id: q.id, ...scoreQuery(hits, q.expected || [], ks) });
+  }
+
+  const mean = (key) => perQuery.reduce((s, r) => s + r[key], 0) / (perQuery.length || 1);
+  const summary = { mrr: mean("mrr") };
+  for (const k of ks) {
+    summary[`recall@${k}`] = mean(`recall@${k}`);
+    summary[`ndcg@${k}`] = mean(`ndcg@${k}`);
+  }
+  return { name: config.name, embed_model: store.embed_model, summary, perQuery };
+}
+
+function printComparison(results, ks) {
+  const metrics = ["mrr", ...ks.flatMap((k) => [`recall@${k}`, `ndcg@${k}`])];
+  const pad = (v, n = 12) => String(v).padEnd(n);
+  console.log(pad("metric", 14) + results.map((r) => pad(r.name, 16)).join("") + (results.length > 1 ? "delta" : ""));
+  for (const m of metrics) {
+    const vals = results.map((r) => r.summary[m]);
+    const delta = results.length > 1 ? vals[vals.length - 1] - vals[0] : null;
+    console.log(
+      pad(m, 14) +
+        vals.map((v) => pad(v.toFixed(3), 16)).join("") +
+        (delta == null ? "" : `${delta >= 0 ? "+" : ""}${delta.toFixed(3)}`)
+    );
+  }
+
+  if (results.length > 1) {
+    const [a, b] = [results[0], results[results.length - 1]];
+    const changed = a.perQuery.filter((q, i) => q.first_rank !== b.perQuery[i].first_rank);
+    if (changed.length) {
+      console.log(`\nFirst relevant rank changed (${a.name} -> ${b.name}):`);
+      changed.forEach((q) => {
+        const other = b.perQuery.find((x) => x.id === q.id);
+        console.log(`  ${q.id}: ${q.first_rank ?? "miss"} -> ${other.first_rank ?? "miss"}`);
+      });
+    }
+  }
+}
+
+async function run() {
+  const goldenFile = arg("golden");
+  const configsFile = arg("configs");
+  if (!goldenFile || !configsFile) throw new Error("--golden and --configs are required");
+
+  const golden = readJson(goldenFile);
+  const configs = readJson(configsFile);
+  const ks = String(arg("k", "1,5,10")).split(",").map(Number).filter((k) => k > 0);
+
+  const results = [];
+  for (const config of configs) results.push(await runConfig(config, golden, ks, path.dirname(configsFile)));
+
+  if (process.argv.includes("--json")) {
+    console.log(JSON.stringify({ golden: golden.name, ks, results }, null, 2));
+    return;
+  }
+  console.log(`Golden set: ${golden.name || goldenFile} (${golden.queries.length} queries)\n`);
+  printComparison(results, ks);
+}
+
+async function record() {
+  const goldenFile = arg("golden");
+  const outFile = arg("out");
+  if (!goldenFile || !outFile) throw new Error("--golden and --out are required");
+
+  const { createClient } = await import("@supabase/supabase-js");
+  const sb = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY, {
+    auth: { persistSession: false },
+  });
+
+  const golden = readJson(goldenFile);
+  const maxChunks = Number(arg("max-chunks", 5000));
+  const extraDocs = (arg("documents") || "").split(",").filter(Boolean);
+  const documents = [...new Set([...golden.queries.flatMap((q) => (q.expected || []).map((e) => e.document_id)), ...extraDocs])];
+
+  console.log(`Recording ${documents.length} documents (max ${maxChunks} chunks)...`);
+  const chunks = [];
+  for (const documentId of documents) {
+    for (let from = 0; chunks.length < maxChunks; from += 1000) {
+      const { data, error } = await sb
+        .from(DOCUMENTS_TABLE)
+        .select("document_id, page_number, chunk_index, content, embedding")
+        .eq("document_id", documentId)
+        .order("chunk_index")
+        .range(from, from + 999);
+      if (error) throw error;
+      for (const c of data || []) {
+        // pgvector columns come back as a "[0.1,0.2,...]" string
+        chunks.push({ ...c, embedding: typeof c.embedding === "string" ? JSON.parse(c.embedding) : c.embedding });
+      }
+      if ((data || []).length < 1000) break;
+    }
+    console.log(`  ${documentId}: ${chunks.filter((c) => c.document_id === documentId).length} chunks`);
+  }
+
+  const questions = golden.queries.map((q) => q.question);
+  const vectors = await llmEmbed(questions);
+  const query_embeddings = Object.fromEntries(questions.map((q, i) => [q, vectors[i]]));
+
+  fs.writeFileSync(outFile, JSON.stringify({ embed_model: EMBED_MODEL, chunks: chunks.slice(0, maxChunks), query_embeddings }));
+  console.log(`Wrote ${outFile} (${Math.min(chunks.length, maxChunks)} chunks, ${questions.length} queries)`);
+}
+
+const commands = { run, record };
+if (!commands[command]) {
+  console.log("usage: node eval-retrieval.js run|record --golden <file> [...]");
+  process.exit(1);
+}
+commands[command]().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
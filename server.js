@@ -4,6 +4,11 @@ import cors from "cors";
 import OpenAI from "openai";
 import Anthropic from "@anthropic-ai/sdk";
 import { createClient } from "@supabase/supabase-js";
+import mammoth from "mammoth";
+import { extractText as extractPdfText } from "unpdf";
+import { countTokens as countO200k } from "gpt-tokenizer/encoding/o200k_base";
+import { countTokens as countCl100k } from "gpt-tokenizer/encoding/cl100k_base";
+import { createHash, randomBytes, randomUUID } from "node:crypto";
 
 const app = express();
 
@@ -15,19 +20,117 @@ const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
 
 const EMBED_MODEL = process.env.EMBED_MODEL || "text-embedding-3-small"; // 1536 dims
 const CHAT_MODEL = process.env.CHAT_MODEL || "gpt-4.1-mini";
 const CLAUDE_MODEL = process.env.CLAUDE_MODEL || "claude-sonnet-4-20250514";
 
+// LLM_PROVIDER=mock runs every route (and embeddings) on the offline mock provider
+const LLM_PROVIDER = process.env.LLM_PROVIDER || "";
+const EMBED_PROVIDER = LLM_PROVIDER === "mock" ? "mock" : process.env.EMBED_PROVIDER || "openai";
+const LLM_TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS || 60000);
+// Per-route "provider:model"; override with LLM_ROUTE_<ROUTE> and LLM_FALLBACK_<ROUTE> (or "none")
+const LLM_ROUTE_DEFAULTS = {
+  tutor: `openai:${CHAT_MODEL}`,
+  rerank: `openai:${CHAT_MODEL}`,
+  summarize: `openai:${CHAT_MODEL}`,
+  rewrite: `openai:${CHAT_MODEL}`,
+  grounding: `openai:${CHAT_MODEL}`,
+  flashcards: `openai:${CHAT_MODEL}`,
+  mcq_draft: `openai:${CHAT_MODEL}`,
+  // a different model family solves the drafts, so it doesn't share the drafter's blind spots
+  mcq_validate: `anthropic:${CLAUDE_MODEL}`,
+  mistakes: `openai:${CHAT_MODEL}`,
+  grading: `anthropic:${CLAUDE_MODEL}`,
+};
+const MOCK_EMBED_DIMS = Number(process.env.MOCK_EMBED_DIMS || 1536);
+const LLM_TOOL_MAX_ROUNDS = Number(process.env.LLM_TOOL_MAX_ROUNDS || 4);
+const MOCK_LLM_FAIL_STATUS = Number(process.env.MOCK_LLM_FAIL_STATUS || 0); // simulate outages in tests
+
 const DEFAULT_MATCH_THRESHOLD = Number(process.env.MATCH_THRESHOLD || 0.75);
 const DEFAULT_TOPK = Number(process.env.TOPK || 10);
+const RETRIEVAL_MODES = ["vector", "hybrid"];
+const DEFAULT_RETRIEVAL_MODE = process.env.RETRIEVAL_MODE || "vector";
+const RRF_K = Number(process.env.RRF_K || 60);
+// Library context packing for the tutor prompt
+const CONTEXT_TOKEN_BUDGET = Number(process.env.CONTEXT_TOKEN_BUDGET || 3000);
+const CONTEXT_NEIGHBORS = Number(process.env.CONTEXT_NEIGHBORS || 1); // chunks pulled in on each side
+const MAX_CONTEXT_NEIGHBORS = 3;
+const NEAR_DUPLICATE_JACCARD = Number(process.env.NEAR_DUPLICATE_JACCARD || 0.85);
+
+// /api/summarize map-reduce sizing
+const SUMMARY_SECTION_TOKENS = Number(process.env.SUMMARY_SECTION_TOKENS || 3000);
+const SUMMARY_TEXT_SECTION_CHARS = 12000;
+const SUMMARY_MAX_SECTIONS = Number(process.env.SUMMARY_MAX_SECTIONS || 40);
+
+// /api/flashcards
+const FLASHCARD_SOURCE_CHUNKS = Number(process.env.FLASHCARD_SOURCE_CHUNKS || 20);
+const FLASHCARD_CONTEXT_TOKENS = Number(process.env.FLASHCARD_CONTEXT_TOKENS || 5000);
+const FLASHCARD_MAX_COUNT = 50;
+const FLASHCARD_DUPLICATE_JACCARD = 0.8;
+
+// Fields a reviewer may change when approving; the rest come from the draft as generated
+const MCQ_DRAFT_EDITABLE = ["stem", "choices", "correct_key", "explanation", "topic", "difficulty"];
+const MCQ_DRAFT_MAX_COUNT = 20;
+
+// Exam timing: saves are accepted this long past deadline_at; the sweeper runs on this interval (0 = off)
+const EXAM_GRACE_SECONDS = Number(process.env.EXAM_GRACE_SECONDS || 30);
+const EXAM_SWEEP_INTERVAL_MS = Number(process.env.EXAM_SWEEP_INTERVAL_MS || 60000);
+// MCQ % needed to sit the essays when the exam doesn't set essay_min_mcq_score (the CMA rule is 50; 0 = off)
+const EXAM_ESSAY_MIN_MCQ_SCORE = Number(process.env.EXAM_ESSAY_MIN_MCQ_SCORE || 0);
+// Recent attempts (per guest_email) whose questions blueprint exams try not to repeat
+const EXAM_SEEN_LOOKBACK = Number(process.env.EXAM_SEEN_LOOKBACK || 50);
+
+const ANALYTICS_MAX_ANSWERS = Number(process.env.ANALYTICS_MAX_ANSWERS || 20000);
+
+// /api/exam/:token/results/:attemptId/mistakes
+const MISTAKE_SOURCE_CHUNKS = 6;
+const MISTAKE_CONTEXT_TOKENS = Number(process.env.MISTAKE_CONTEXT_TOKENS || 1500);
+
+// /api/exam/:token/results/:attemptId/study-plan
+const STUDY_PLAN_MASTERY = Number(process.env.STUDY_PLAN_MASTERY || 0.8); // topics scoring at or above this are left out
+const STUDY_PLAN_MAX_DAYS = 365;
+const STUDY_PLAN_MINUTES_PER_MCQ = 1.8; // 100 MCQs in 3 hours on the real exam
+const STUDY_PLAN_SOURCE_CHUNKS = 12;
+
+const REWRITE_MODES = ["auto", "always", "off"];
+// off: no check; score: return a grounding verdict; strict: also refuse when the library doesn't back the answer
+const GROUNDING_MODES = ["off", "score", "strict"];
+const STRICT_MIN_SIMILARITY = Number(process.env.STRICT_MIN_SIMILARITY || 0.8);
+const GROUNDING_SUPPORTED_RATIO = Number(process.env.GROUNDING_SUPPORTED_RATIO || 0.8);
+const GROUNDING_PARTIAL_RATIO = Number(process.env.GROUNDING_PARTIAL_RATIO || 0.5);
+const MAX_QUERY_EXPANSIONS = 3;
+
+const DOCUMENTS_TABLE = process.env.DOCUMENTS_TABLE || "documents";
+const INGEST_CHUNK_CHARS = Number(process.env.INGEST_CHUNK_CHARS || 1200);
+const INGEST_CHUNK_OVERLAP = Number(process.env.INGEST_CHUNK_OVERLAP || 200);
+const INGEST_MAX_BYTES = process.env.INGEST_MAX_BYTES || "50mb";
+// Finished jobs stay visible to GET /api/admin/library/jobs/:jobId this long, up to this many
+const INGEST_JOB_TTL_MS = Number(process.env.INGEST_JOB_TTL_MS || 6 * 60 * 60 * 1000);
+const INGEST_JOB_MAX_FINISHED = Number(process.env.INGEST_JOB_MAX_FINISHED || 100);
+
+const NOISE_RULES_TABLE = process.env.NOISE_RULES_TABLE || "noise_filter_rules";
+const NOISE_RULES_TTL_MS = Number(process.env.NOISE_RULES_TTL_MS || 60000);
+// Key/value table (key text primary key, value jsonb) for one-time markers such as noise-rule seeding
+const APP_SETTINGS_TABLE = process.env.APP_SETTINGS_TABLE || "app_settings";
+// Set to "false" once noisy chunks have been excluded in the library itself
+const NOISE_FILTER_AT_QUERY = process.env.NOISE_FILTER_AT_QUERY !== "false";
+
+const EMBED_CACHE_SIZE = Number(process.env.EMBED_CACHE_SIZE || 2000);
+const EMBED_CACHE_TABLE = process.env.EMBED_CACHE_TABLE || "embedding_cache";
+
+// Stored conversations: summarize older turns once the unsummarized tail exceeds the budget
+const CONVERSATION_TOKEN_BUDGET = Number(process.env.CONVERSATION_TOKEN_BUDGET || 3000);
+const CONVERSATION_KEEP_RECENT = Number(process.env.CONVERSATION_KEEP_RECENT || 6);
 
 // ---- required env checks (fail fast) ----
 if (!SUPABASE_URL) throw new Error("Missing SUPABASE_URL");
 if (!SUPABASE_SERVICE_ROLE_KEY) throw new Error("Missing SUPABASE_SERVICE_ROLE_KEY");
-if (!OPENAI_API_KEY) throw new Error("Missing OPENAI_API_KEY");
-if (!ANTHROPIC_API_KEY) console.warn("⚠️  ANTHROPIC_API_KEY not set — essay grading disabled");
+if (!OPENAI_API_KEY && LLM_PROVIDER !== "mock") throw new Error("Missing OPENAI_API_KEY");
+if (!ANTHROPIC_API_KEY) console.warn("⚠️  ANTHROPIC_API_KEY not set — Anthropic provider disabled");
+if (LLM_PROVIDER === "mock") console.warn("⚠️  LLM_PROVIDER=mock — all model calls are answered offline");
+if (!ADMIN_API_KEY) console.warn("⚠️  ADMIN_API_KEY not set — library admin endpoints disabled");
 
 // ---- middleware ----
 app.use(express.json({ limit: "2mb" })); // chat requests can be large
@@ -53,7 +156,7 @@ app.use(
       if (allowedOrigins.includes(origin)) return cb(null, true);
       return cb(new Error(`CORS blocked for origin: ${origin}`));
     },
-    methods: ["GET", "POST", "PUT", "OPTIONS"],
+    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
     allowedHeaders: ["Content-Type", "Authorization"],
     credentials: true,
   })
@@ -64,11 +167,457 @@ const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
   auth: { persistSession: false },
 });
 
-const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
+const openai = OPENAI_API_KEY ? new OpenAI({ apiKey: OPENAI_API_KEY }) : null;
 const anthropic = ANTHROPIC_API_KEY
   ? new Anthropic({ apiKey: ANTHROPIC_API_KEY })
   : null;
 
+// ---- LLM providers ----
+// Every chat call goes through llmChat/llmChatStream with a route name. Each route
+// resolves to "provider:model" plus an optional fallback; retryable failures
+// (5xx, 429, timeouts, connection errors) fall over to the next target.
+
+function parseLlmTarget(spec) {
+  const [provider, ...rest] = String(spec || "").split(":");
+  return { provider: provider.trim(), model: rest.join(":").trim() };
+}
+
+// Default fallback is "the other provider" with its default model
+function defaultFallback(provider) {
+  if (provider === "openai" && ANTHROPIC_API_KEY) return `anthropic:${CLAUDE_MODEL}`;
+  if (provider === "anthropic" && OPENAI_API_KEY) return `openai:${CHAT_MODEL}`;
+  return null;
+}
+
+function llmTargets(route) {
+  if (LLM_PROVIDER === "mock") return [{ provider: "mock", model: "mock-chat" }];
+
+  const key = route.toUpperCase();
+  const primary = process.env[`LLM_ROUTE_${key}`] || LLM_ROUTE_DEFAULTS[route] || `openai:${CHAT_MODEL}`;
+  const fallbackEnv = process.env[`LLM_FALLBACK_${key}`];
+  const fallback = fallbackEnv === "none" ? null : fallbackEnv || defaultFallback(parseLlmTarget(primary).provider);
+
+  return [primary, fallback]
+    .filter(Boolean)
+    .map(parseLlmTarget)
+    .filter((t) => llmProviders[t.provider]?.available());
+}
+
+function isRetryableLlmError(e) {
+  const status = Number(e?.status);
+  if (status === 408 || status === 409 || status === 429 || status >= 500) return true;
+  const name = `${e?.name} ${e?.constructor?.name}`;
+  return name.includes("Timeout") || name.includes("Connection");
+}
+
+function openaiUsage(u) {
+  if (!u) return null;
+  return { prompt_tokens: u.prompt_tokens, completion_tokens: u.completion_tokens, total_tokens: u.total_tokens };
+}
+
+// Tool-calling messages use one shape across providers:
+//   { role: "assistant", content, tool_calls: [{ id, name, arguments }] }
+//   { role: "tool", tool_call_id, content }
+// and each provider converts to its own wire format.
+
+function toOpenAIMessages(messages) {
+  return messages.map((m) => {
+    if (m.role === "tool") return { role: "tool", tool_call_id: m.tool_call_id, content: m.content };
+    if (!m.tool_calls?.length) return m;
+    return {
+      role: "assistant",
+      content: m.content || null,
+      tool_calls: m.tool_calls.map((c) => ({
+        id: c.id,
+        type: "function",
+        function: { name: c.name, arguments: JSON.stringify(c.arguments) },
+      })),
+    };
+  });
+}
+
+function openaiTools(tools) {
+  return tools?.length
+    ? { tools: tools.map((t) => ({ type: "function", function: { name: t.name, description: t.description, parameters: t.parameters } })) }
+    : {};
+}
+
+function parseToolArguments(raw) {
+  try {
+    return JSON.parse(raw || "{}");
+  } catch {
+    return {};
+  }
+}
+
+function anthropicBlocks(content) {
+  return typeof content === "string" ? (content ? [{ type: "text", text: content }] : []) : content;
+}
+
+// Anthropic takes system text separately and wants strictly alternating user/assistant turns
+function toAnthropicMessages(messages) {
+  const system = messages.filter((m) => m.role === "system").map((m) => m.content).join("\n\n");
+  const turns = [];
+  for (const m of messages) {
+    if (m.role === "system") continue;
+    const role = m.role === "assistant" ? "assistant" : "user";
+    let content = m.content;
+    if (m.role === "tool") {
+      content = [{ type: "tool_result", tool_use_id: m.tool_call_id, content: m.content }];
+    } else if (m.tool_calls?.length) {
+      content = [
+        ...anthropicBlocks(m.content || ""),
+        ...m.tool_calls.map((c) => ({ type: "tool_use", id: c.id, name: c.name, input: c.arguments })),
+      ];
+    }
+    const last = turns[turns.length - 1];
+    if (last && last.role === role) {
+      if (typeof last.content === "string" && typeof content === "string") last.content += `\n\n${content}`;
+      else last.content = [...anthropicBlocks(last.content), ...anthropicBlocks(content)];
+    } else {
+      turns.push({ role, content });
+    }
+  }
+  if (turns[0]?.role !== "user") turns.unshift({ role: "user", content: "(conversation start)" });
+  return { system, messages: turns };
+}
+
+const ANTHROPIC_STOP_REASONS = { end_turn: "stop", stop_sequence: "stop", max_tokens: "length", tool_use: "tool_calls" };
+
+function anthropicTools(tools) {
+  return tools?.length
+    ? { tools: tools.map((t) => ({ name: t.name, description: t.description, input_schema: t.parameters })) }
+    : {};
+}
+
+// The mock calls a tool when the latest user message spells one out as name({...json args})
+function mockToolCalls(messages, tools) {
+  const last = messages[messages.length - 1];
+  if (!tools?.length || last?.role !== "user") return [];
+  const calls = [];
+  for (const m of String(last.content).matchAll(/\b([a-z_]+)\((\{.*?\})\)/g)) {
+    if (tools.some((t) => t.name === m[1])) {
+      calls.push({ id: `mock_call_${calls.length + 1}`, name: m[1], arguments: parseToolArguments(m[2]) });
+    }
+  }
+  return calls;
+}
+
+// Deterministic unit vector from the text hash, so the same text always embeds the same way
+function mockEmbedding(text, dims = MOCK_EMBED_DIMS) {
+  const vec = [];
+  let seed = createHash("sha256").update(String(text)).digest();
+  while (vec.length < dims) {
+    for (let i = 0; i + 1 < seed.length && vec.length < dims; i += 2) {
+      vec.push(seed.readUInt16BE(i) / 32767.5 - 1);
+    }
+    seed = createHash("sha256").update(seed).digest();
+  }
+  const norm = Math.sqrt(vec.reduce((s, v) => s + v * v, 0)) || 1;
+  return vec.map((v) => v / norm);
+}
+
+function mockReply(messages, json) {
+  if (MOCK_LLM_FAIL_STATUS) {
+    const err = new Error(`mock provider failure (${MOCK_LLM_FAIL_STATUS})`);
+    err.status = MOCK_LLM_FAIL_STATUS;
+    throw err;
+  }
+  if (json) return JSON.stringify({ mock: true });
+  const toolResults = messages.filter((m) => m.role === "tool").map((m) => m.content);
+  if (toolResults.length) return `Mock answer from tool results: ${toolResults.join(" ")}`;
+  const question = [...messages].reverse().find((m) => m.role === "user")?.content || "";
+  const source = messages
+    .map((m) => m.content)
+    .join("\n")
+    .match(/SOURCE: (.+?) \| page:(\d+) \| chunk:(\d+)/);
+  const cite = source ? ` [${source[1]} | ${source[2]} | ${source[3]}]` : "";
+  return `Mock answer to: ${sanitizeText(question).slice(0, 200)}${cite}`;
+}
+
+const llmProviders = {
+  openai: {
+    available: () => Boolean(openai),
+    async chat({ model, messages, temperature, maxTokens, json, tools, signal }) {
+      const completion = await openai.chat.completions.create(
+        {
+          model,
+          messages: toOpenAIMessages(messages),
+          temperature,
+          ...(maxTokens ? { max_tokens: maxTokens } : {}),
+          ...(json ? { response_format: { type: "json_object" } } : {}),
+          ...openaiTools(tools),
+        },
+        { signal, timeout: LLM_TIMEOUT_MS }
+      );
+      const choice = completion.choices?.[0];
+      return {
+        text: choice?.message?.content || "",
+        finish_reason: choice?.finish_reason || null,
+        usage: openaiUsage(completion.usage),
+        tool_calls: (choice?.message?.tool_calls || []).map((c) => ({
+          id: c.id,
+          name: c.function.name,
+          arguments: parseToolArguments(c.function.arguments),
+        })),
+      };
+    },
+    async *stream({ model, messages, temperature, maxTokens, tools, signal }) {
+      const stream = await openai.chat.completions.create(
+        {
+          model,
+          messages: toOpenAIMessages(messages),
+          temperature,
+          ...(maxTokens ? { max_tokens: maxTokens } : {}),
+          ...openaiTools(tools),
+          stream: true,
+          stream_options: { include_usage: true },
+        },
+        { signal, timeout: LLM_TIMEOUT_MS }
+      );
+      let finishReason = null;
+      let usage = null;
+      const calls = []; // tool call fragments arrive keyed by index
+      for await (const chunk of stream) {
+        const choice = chunk.choices?.[0];
+        if (choice?.delta?.content) yield { type: "delta", content: choice.delta.content };
+        for (const tc of choice?.delta?.tool_calls || []) {
+          calls[tc.index] ||= { id: "", name: "", args: "" };
+          if (tc.id) calls[tc.index].id = tc.id;
+          if (tc.function?.name) calls[tc.index].name += tc.function.name;
+          if (tc.function?.arguments) calls[tc.index].args += tc.function.arguments;
+        }
+        if (choice?.finish_reason) finishReason = choice.finish_reason;
+        if (chunk.usage) usage = openaiUsage(chunk.usage);
+      }
+      yield {
+        type: "done",
+        finish_reason: finishReason,
+        usage,
+        tool_calls: calls.filter(Boolean).map((c) => ({ id: c.id, name: c.name, arguments: parseToolArguments(c.args) })),
+      };
+    },
+    async embed({ model, input }) {
+      const resp = await openai.embeddings.create({ model, input }, { timeout: LLM_TIMEOUT_MS });
+      return resp.data.map((d) => d.embedding);
+    },
+  },
+
+  anthropic: {
+    available: () => Boolean(anthropic),
+    async chat({ model, messages, temperature, maxTokens, tools, signal }) {
+      const msg = await anthropic.messages.create(
+        { model, max_tokens: maxTokens || 2048, temperature, ...anthropicTools(tools), ...toAnthropicMessages(messages) },
+        { signal, timeout: LLM_TIMEOUT_MS }
+      );
+      return {
+        text: (msg.content || []).filter((b) => b.type === "text").map((b) => b.text).join(""),
+        tool_calls: (msg.content || [])
+          .filter((b) => b.type === "tool_use")
+          .map((b) => ({ id: b.id, name: b.name, arguments: b.input || {} })),
+        finish_reason: ANTHROPIC_STOP_REASONS[msg.stop_reason] || msg.stop_reason || null,
+        usage: msg.usage
+          ? {
+              prompt_tokens: msg.usage.input_tokens,
+              completion_tokens: msg.usage.output_tokens,
+              total_tokens: msg.usage.input_tokens + msg.usage.output_tokens,
+            }
+          : null,
+      };
+    },
+    async *stream({ model, messages, temperature, maxTokens, tools, signal }) {
+      const stream = await anthropic.messages.create(
+        {
+          model,
+          max_tokens: maxTokens || 2048,
+          temperature,
+          stream: true,
+          ...anthropicTools(tools),
+          ...toAnthropicMessages(messages),
+        },
+        { signal, timeout: LLM_TIMEOUT_MS }
+      );
+      let finishReason = null;
+      let inputTokens = 0;
+      let outputTokens = 0;
+      const calls = new Map(); // content block index -> tool_use being assembled
+      for await (const event of stream) {
+        if (event.type === "message_start") inputTokens = event.message?.usage?.input_tokens || 0;
+        if (event.type === "content_block_start" && event.content_block?.type === "tool_use") {
+          calls.set(event.index, { id: event.content_block.id, name: event.content_block.name, args: "" });
+        }
+        if (event.type === "content_block_delta" && event.delta?.type === "text_delta") {
+          yield { type: "delta", content: event.delta.text };
+        }
+        if (event.type === "content_block_delta" && event.delta?.type === "input_json_delta") {
+          calls.get(event.index).args += event.delta.partial_json;
+        }
+        if (event.type === "message_delta") {
+          finishReason = ANTHROPIC_STOP_REASONS[event.delta?.stop_reason] || event.delta?.stop_reason || null;
+          outputTokens = event.usage?.output_tokens || outputTokens;
+        }
+      }
+      yield {
+        type: "done",
+        finish_reason: finishReason,
+        usage: { prompt_tokens: inputTokens, completion_tokens: outputTokens, total_tokens: inputTokens + outputTokens },
+        tool_calls: [...calls.values()].map((c) => ({ id: c.id, name: c.name, arguments: parseToolArguments(c.args) })),
+      };
+    },
+  },
+
+  // Offline provider: canned answers and hash-seeded embeddings, no network
+  mock: {
+    available: () => true,
+    async chat({ messages, json, tools }) {
+      const toolCalls = mockToolCalls(messages, tools);
+      const text = toolCalls.length ? "" : mockReply(messages, json);
+      return {
+        text,
+        finish_reason: toolCalls.length ? "tool_calls" : "stop",
+        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+        tool_calls: toolCalls,
+      };
+    },
+    async *stream({ messages, tools }) {
+      const toolCalls = mockToolCalls(messages, tools);
+      if (!toolCalls.length) {
+        for (const word of mockReply(messages, false).split(/(?<= )/)) yield { type: "delta", content: word };
+      }
+      yield {
+        type: "done",
+        finish_reason: toolCalls.length ? "tool_calls" : "stop",
+        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+        tool_calls: toolCalls,
+      };
+    },
+    async embed({ input }) {
+      return input.map((t) => mockEmbedding(t));
+    },
+  },
+};
+
+// Returns { text, finish_reason, usage, provider, model, failover }
+async function llmChat(route, opts) {
+  const targets = llmTargets(route);
+  if (targets.length === 0) throw new Error(`No LLM provider configured for route "${route}"`);
+
+  const failover = [];
+  for (const [i, t] of targets.entries()) {
+    try {
+      const out = await llmProviders[t.provider].chat({ ...opts, model: t.model });
+      return { ...out, provider: t.provider, model: t.model, failover };
+    } catch (e) {
+      if (opts.signal?.aborted || !isRetryableLlmError(e) || i === targets.length - 1) throw e;
+      console.warn(`llm ${route}: ${t.provider}:${t.model} failed (${e?.status || e?.constructor?.name}), failing over`);
+      failover.push({ provider: t.provider, model: t.model, error: String(e?.message || e) });
+    }
+  }
+}
+
+// Yields { type: "delta", content } ... then { type: "done", finish_reason, usage, provider, model, failover }.
+// Failover is only possible before the first delta has gone out.
+async function* llmChatStream(route, opts) {
+  const targets = llmTargets(route);
+  if (targets.length === 0) throw new Error(`No LLM provider configured for route "${route}"`);
+
+  const failover = [];
+  for (const [i, t] of targets.entries()) {
+    let started = false;
+    try {
+      for await (const ev of llmProviders[t.provider].stream({ ...opts, model: t.model })) {
+        if (ev.type === "delta") started = true;
+        yield ev.type === "done" ? { ...ev, provider: t.provider, model: t.model, failover } : ev;
+      }
+      return;
+    } catch (e) {
+      if (started || opts.signal?.aborted || !isRetryableLlmError(e) || i === targets.length - 1) throw e;
+      console.warn(`llm ${route}: ${t.provider}:${t.model} stream failed (${e?.status || e?.constructor?.name}), failing over`);
+      failover.push({ provider: t.provider, model: t.model, error: String(e?.message || e) });
+    }
+  }
+}
+
+// Runs tool calls locally; returns the tool messages to send back and the log entries
+function runToolCalls(toolCalls, tools, { limitReached = false } = {}) {
+  const messages = [];
+  const log = [];
+  for (const c of toolCalls) {
+    let out;
+    if (limitReached) out = { error: "tool call limit reached; answer with the results you already have" };
+    else if (!Object.hasOwn(tools, c.name)) out = { error: `unknown tool ${c.name}` };
+    else {
+      try {
+        out = tools[c.name].run(c.arguments || {});
+      } catch (e) {
+        out = { error: String(e?.message || e) };
+      }
+    }
+    messages.push({ role: "tool", tool_call_id: c.id, content: JSON.stringify(out) });
+    log.push({ tool: c.name, arguments: c.arguments, ...out });
+  }
+  return { messages, log };
+}
+
+function toolSpecs(tools) {
+  return Object.entries(tools).map(([name, t]) => ({ name, description: t.description, parameters: t.parameters }));
+}
+
+// llmChat with local tools ({ name: { description, parameters, run } }): loops until the model
+// answers in text. After maxRounds the model is told to stop calling tools.
+// Returns llmChat's shape plus tool_calls: [{ tool, arguments, result, steps } | { tool, arguments, error }]
+async function llmChatWithTools(route, { tools, maxRounds = LLM_TOOL_MAX_ROUNDS, ...opts }) {
+  const specs = toolSpecs(tools);
+  let messages = opts.messages;
+  const log = [];
+  for (let round = 0; ; round++) {
+    const out = await llmChat(route, { ...opts, messages, tools: specs });
+    if (!out.tool_calls?.length || round > maxRounds) return { ...out, tool_calls: log };
+    const ran = runToolCalls(out.tool_calls, tools, { limitReached: round === maxRounds });
+    log.push(...ran.log);
+    messages = [...messages, { role: "assistant", content: out.text, tool_calls: out.tool_calls }, ...ran.messages];
+  }
+}
+
+// Streaming counterpart: yields deltas across rounds, { type: "tool", calls } after each round
+// of executed calls, and a final done event carrying the full tool_calls log
+async function* llmChatStreamWithTools(route, { tools, maxRounds = LLM_TOOL_MAX_ROUNDS, ...opts }) {
+  const specs = toolSpecs(tools);
+  let messages = opts.messages;
+  const log = [];
+  for (let round = 0; ; round++) {
+    let text = "";
+    let done = null;
+    for await (const ev of llmChatStream(route, { ...opts, messages, tools: specs })) {
+      if (ev.type === "delta") {
+        text += ev.content;
+        yield ev;
+      } else {
+        done = ev;
+      }
+    }
+    if (!done.tool_calls?.length || round > maxRounds) {
+      yield { ...done, tool_calls: log };
+      return;
+    }
+    const ran = runToolCalls(done.tool_calls, tools, { limitReached: round === maxRounds });
+    log.push(...ran.log);
+    yield { type: "tool", calls: ran.log };
+    messages = [...messages, { role: "assistant", content: text, tool_calls: done.tool_calls }, ...ran.messages];
+  }
+}
+
+// Embeddings never fail over: vectors from different models don't share a space
+async function llmEmbed(input) {
+  return llmProviders[EMBED_PROVIDER].embed({ model: EMBED_MODEL, input });
+}
+
+// Models sometimes wrap JSON in markdown fences
+function parseLlmJson(raw) {
+  const cleaned = String(raw || "").replace(/^```json?\s*/i, "").replace(/```\s*$/i, "").trim();
+  return JSON.parse(cleaned || "{}");
+}
+
 // ---- helpers ----
 function sanitizeText(s) {
   // remove nulls + control chars (prevents Supabase text errors + weird PDFs)
@@ -79,82 +628,540 @@ function sanitizeText(s) {
     .trim();
 }
 
-// Basic “noise” filters for your corpus
+// ---- noise filter rules ----
+// Rules live in noise_filter_rules (id, kind, pattern, params, description, enabled) and are
+// cached in memory so isNoisyChunk stays synchronous. Seeded once with these (see loadNoiseRules).
+const NOISE_RULE_KINDS = ["substring", "regex", "script_ratio", "min_length"];
+const DEFAULT_NOISE_RULES = [
+  { kind: "substring", pattern: "t.me/", description: "Telegram spam links" },
+  { kind: "substring", pattern: "telegram.me", description: "Telegram spam links" },
+  { kind: "substring", pattern: "whatsapp", description: "WhatsApp spam" },
+  {
+    // Keep it loose to avoid removing legit math/financial symbols.
+    kind: "script_ratio",
+    params: { max_latin_letters: 20, min_non_latin_chars: 80 },
+    description: "Mostly non-Latin pages (Arabic spam)",
+  },
+];
+
+let noiseRules = DEFAULT_NOISE_RULES.map((r) => compileNoiseRule(r));
+let noiseRulesLoadedAt = 0;
+
+// Throws on a rule that can't be evaluated (bad kind, bad regex, missing params)
+function compileNoiseRule(rule) {
+  const params = rule.params || {};
+  if (!NOISE_RULE_KINDS.includes(rule.kind)) throw new Error(`unknown rule kind: ${rule.kind}`);
+  if ((rule.kind === "substring" || rule.kind === "regex") && !rule.pattern) throw new Error("pattern required");
+  if (rule.kind === "min_length" && !(Number(params.min_chars) > 0)) throw new Error("params.min_chars required");
+  if (rule.kind === "script_ratio" && params.max_latin_letters == null && params.min_non_latin_ratio == null) {
+    throw new Error("params.max_latin_letters/min_non_latin_chars or params.min_non_latin_ratio required");
+  }
+  return {
+    ...rule,
+    params,
+    regex: rule.kind === "regex" ? new RegExp(rule.pattern, params.flags ?? "i") : null,
+    needle: rule.kind === "substring" ? String(rule.pattern).toLowerCase() : null,
+  };
+}
+
+function noiseRuleMatches(rule, content, lower) {
+  switch (rule.kind) {
+    case "substring":
+      return lower.includes(rule.needle);
+    case "regex":
+      rule.regex.lastIndex = 0;
+      return rule.regex.test(content);
+    case "min_length":
+      return content.trim().length < Number(rule.params.min_chars);
+    case "script_ratio": {
+      const letters = lower.match(/[a-z]/g)?.length || 0;
+      const nonLatin = lower.match(/[^\x00-\x7F]/g)?.length || 0;
+      const { max_latin_letters, min_non_latin_chars = 0, min_non_latin_ratio } = rule.params;
+      if (min_non_latin_ratio != null) return nonLatin / Math.max(lower.length, 1) >= min_non_latin_ratio;
+      return letters < max_latin_letters && nonLatin > min_non_latin_chars;
+    }
+    default:
+      return false;
+  }
+}
+
+// Returns the first rule that drops this chunk, or null
+function matchNoiseRule(content, rules = noiseRules) {
+  const c = String(content || "");
+  const lower = c.toLowerCase();
+  for (const rule of rules) {
+    if (rule.enabled === false) continue;
+    if (noiseRuleMatches(rule, c, lower)) return rule;
+  }
+  return null;
+}
+
 function isNoisyChunk(content) {
-  const c = (content || "").toLowerCase();
-  if (!c) return true;
-  if (c.includes("t.me/")) return true;
-  if (c.includes("telegram.me")) return true;
-  if (c.includes("whatsapp")) return true;
+  if (!content) return true;
+  return Boolean(matchNoiseRule(content));
+}
+
+let noiseRulesSeeded = false;
+
+// Creates the "noise_rules_seeded" marker; true only for the caller that created it, so concurrent
+// cold starts seed once. An install whose table already has rules just gets the marker.
+async function claimNoiseRulesSeeding() {
+  const { data, error } = await supabase
+    .from(APP_SETTINGS_TABLE)
+    .upsert({ key: "noise_rules_seeded", value: { at: new Date().toISOString() } }, { onConflict: "key", ignoreDuplicates: true })
+    .select("key");
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+// The table is the rule set once it has been seeded: after that, empty means an admin deleted every
+// rule. Until the seeded marker exists, an empty table gets DEFAULT_NOISE_RULES (once), and if the
+// marker can't be read the defaults keep applying in memory.
+async function loadNoiseRules({ force = false } = {}) {
+  if (!force && Date.now() - noiseRulesLoadedAt < NOISE_RULES_TTL_MS) return noiseRules;
+
+  let { data, error } = await supabase.from(NOISE_RULES_TABLE).select("*").order("created_at");
+  // keep the last good rule set if the table is unreachable
+  noiseRulesLoadedAt = Date.now();
+  if (error) {
+    console.warn("noise rules load failed, keeping current rules:", error.message);
+    return noiseRules;
+  }
+
+  if (!noiseRulesSeeded) {
+    try {
+      const claimed = await claimNoiseRulesSeeding();
+      if (claimed && !(data || []).length) {
+        const seeded = await supabase.from(NOISE_RULES_TABLE).insert(DEFAULT_NOISE_RULES).select("*");
+        if (seeded.error) {
+          // give the marker back so the next load retries
+          await supabase.from(APP_SETTINGS_TABLE).delete().eq("key", "noise_rules_seeded");
+          throw seeded.error;
+        }
+        data = seeded.data;
+      }
+      noiseRulesSeeded = true;
+    } catch (e) {
+      console.warn("noise rules seeding check failed, applying defaults:", e?.message || e);
+      if (!(data || []).length) data = DEFAULT_NOISE_RULES;
+    }
+  }
+
+  noiseRules = (data || []).flatMap((r) => {
+    try {
+      return [compileNoiseRule(r)];
+    } catch (e) {
+      console.warn(`noise rule ${r.id} skipped: ${e.message}`);
+      return [];
+    }
+  });
+  return noiseRules;
+}
+
+// ---- embedding cache ----
+// Two tiers: in-process LRU, then the embedding_cache table (hash, model, embedding).
+// The model name is part of the hash and stored alongside, so a model change never reuses old vectors.
+const embedLru = new Map();
+const embedCacheStats = { lru_hits: 0, db_hits: 0, misses: 0, db_errors: 0 };
+
+// Cache entries are tagged with provider + model so mock vectors never mix with real ones
+const EMBED_CACHE_MODEL = EMBED_PROVIDER === "openai" ? EMBED_MODEL : `${EMBED_PROVIDER}:${EMBED_MODEL}`;
 
-  // If a chunk is mostly non-latin, drop it (filters Arabic spam pages)
-  // Keep it loose to avoid removing legit math/financial symbols.
-  const letters = c.match(/[a-z]/g)?.length || 0;
-  const nonLatin = c.match(/[^\x00-\x7F]/g)?.length || 0;
-  if (letters < 20 && nonLatin > 80) return true;
+// Hashes exactly the text that gets embedded (already sanitized, so whitespace is collapsed); case
+// is kept because the model sees it and "US" and "us" don't embed the same.
+function embedCacheKey(text) {
+  return createHash("sha256").update(`${EMBED_CACHE_MODEL}\n${text}`).digest("hex");
+}
+
+function lruGet(key) {
+  const v = embedLru.get(key);
+  if (v === undefined) return undefined;
+  // re-insert to mark as most recently used
+  embedLru.delete(key);
+  embedLru.set(key, v);
+  return v;
+}
 
-  return false;
+function lruSet(key, value) {
+  embedLru.delete(key);
+  embedLru.set(key, value);
+  if (embedLru.size > EMBED_CACHE_SIZE) embedLru.delete(embedLru.keys().next().value);
 }
 
 async function embedOne(text) {
   const clean = sanitizeText(text).slice(0, 8000);
-  const resp = await openai.embeddings.create({
-    model: EMBED_MODEL,
-    input: clean,
-  });
-  return resp.data[0].embedding;
+  const key = embedCacheKey(clean);
+
+  const cached = lruGet(key);
+  if (cached) {
+    embedCacheStats.lru_hits++;
+    return cached;
+  }
+
+  const { data: row, error: readErr } = await supabase
+    .from(EMBED_CACHE_TABLE)
+    .select("embedding")
+    .eq("hash", key)
+    .eq("model", EMBED_CACHE_MODEL)
+    .maybeSingle();
+  if (readErr) embedCacheStats.db_errors++;
+  if (row?.embedding) {
+    // pgvector columns come back as a "[0.1,0.2,...]" string
+    const embedding = typeof row.embedding === "string" ? JSON.parse(row.embedding) : row.embedding;
+    embedCacheStats.db_hits++;
+    lruSet(key, embedding);
+    return embedding;
+  }
+
+  embedCacheStats.misses++;
+  const [embedding] = await llmEmbed([clean]);
+  lruSet(key, embedding);
+
+  // cache write is best-effort; a failure must not fail the request
+  const { error: writeErr } = await supabase
+    .from(EMBED_CACHE_TABLE)
+    .upsert({ hash: key, model: EMBED_CACHE_MODEL, embedding }, { onConflict: "hash" });
+  if (writeErr) {
+    embedCacheStats.db_errors++;
+    console.warn("embedding cache write failed:", writeErr.message);
+  }
+
+  return embedding;
 }
 
-async function retrieveContext({ queryEmbedding, topK = DEFAULT_TOPK, threshold = DEFAULT_MATCH_THRESHOLD, filterDoc = null }) {
-  // Try calling match_documents with filter_document_id if your function supports it.
-  // If not, fallback to calling without it.
-  let data, error;
+// Metadata filters are applied inside the RPCs. Both take `filter jsonb` (see normalizeSearchFilters
+// for the keys) and join library_documents (document_id, title, part, section, publisher, year,
+// doc_type) for the document-level ones. Without a filter the parameter is left out, so databases
+// that predate it keep working unfiltered. A filter on one document alone falls back to the older
+// filter_document_id argument; any other filter on such a database is an error, not a no-op.
+function filterUnsupportedError(rpc, error) {
+  const err = new Error(`${rpc} does not accept metadata filters: ${error.message}`);
+  err.status = 501;
+  return err;
+}
 
-  const payloadWithFilter = {
-    query_embedding: queryEmbedding,
-    match_threshold: threshold,
-    match_count: topK,
-    filter_document_id: filterDoc,
-  };
+// PGRST202: no function matches the given name and arguments
+function isMissingRpcParam(error) {
+  return error?.code === "PGRST202";
+}
 
-  const payloadNoFilter = {
-    query_embedding: queryEmbedding,
-    match_threshold: threshold,
-    match_count: topK,
-  };
+function legacyDocumentFilter(filters) {
+  const keys = Object.keys(filters || {});
+  return keys.length === 1 && filters.document_ids?.length === 1 ? filters.document_ids[0] : null;
+}
 
-  // Attempt with filter first only if filterDoc is provided
-  if (filterDoc) {
-    ({ data, error } = await supabase.rpc("match_documents", payloadWithFilter));
-    if (error) {
-      // If function does not accept filter_document_id, retry without it
-      const msg = String(error.message || "");
-      if (msg.includes("filter_document_id") || msg.includes("does not exist")) {
-        ({ data, error } = await supabase.rpc("match_documents", payloadNoFilter));
+async function filteredRpc(db, rpc, params, filters) {
+  let { data, error } = await db.rpc(rpc, filters ? { ...params, filter: filters } : params);
+  if (error && filters && isMissingRpcParam(error)) {
+    const documentId = legacyDocumentFilter(filters);
+    if (documentId) ({ data, error } = await db.rpc(rpc, { ...params, filter_document_id: documentId }));
+    if (error && isMissingRpcParam(error)) throw filterUnsupportedError(rpc, error);
+  }
+  if (error) throw error;
+  return data || [];
+}
+
+function vectorSearch({ queryEmbedding, topK, threshold, filters, db = supabase }) {
+  return filteredRpc(
+    db,
+    "match_documents",
+    { query_embedding: queryEmbedding, match_threshold: threshold, match_count: topK },
+    filters
+  );
+}
+
+// Full-text search over the same chunks. Expects a match_documents_keyword RPC
+// (websearch_to_tsquery + ts_rank_cd) returning the match_documents columns plus `rank`.
+function keywordSearch({ queryText, topK, filters, db = supabase }) {
+  return filteredRpc(db, "match_documents_keyword", { query_text: queryText, match_count: topK }, filters);
+}
+
+function hitKey(h) {
+  return `${h.document_id}|${h.page_number}|${h.chunk_index}`;
+}
+
+// Reciprocal rank fusion: score = sum(1 / (k + rank)) over every list a chunk appears in
+function fuseRankings(lists, k = RRF_K) {
+  const merged = new Map();
+  for (const [retriever, hits] of Object.entries(lists)) {
+    hits.forEach((h, i) => {
+      const key = hitKey(h);
+      const cur = merged.get(key) || { ...h, retrievers: [], rrf_score: 0 };
+      cur.retrievers.push(retriever);
+      cur.rrf_score += 1 / (k + i + 1);
+      if (h.similarity != null) cur.similarity = h.similarity;
+      if (h.rank != null) cur.keyword_rank = h.rank;
+      merged.set(key, cur);
+    });
+  }
+  return [...merged.values()].sort((a, b) => b.rrf_score - a.rrf_score);
+}
+
+// LLM reranker: scores each candidate 0-10 for relevance. Falls back to the input order on failure.
+async function rerankHits(query, hits) {
+  if (hits.length < 2) return hits;
+
+  const candidates = hits
+    .map((h, i) => `[${i}] ${sanitizeText(h.content).slice(0, 600)}`)
+    .join("\n\n");
+
+  try {
+    const completion = await llmChat("rerank", {
+      messages: [
+        {
+          role: "system",
+          content:
+            "Score how well each passage answers the CMA exam query, from 0 (irrelevant) to 10 (directly answers). " +
+            'Return ONLY JSON: {"scores":[{"i":<index>,"score":<0-10>}]}',
+        },
+        { role: "user", content: `QUERY: ${sanitizeText(query).slice(0, 500)}\n\nPASSAGES:\n${candidates}` },
+      ],
+      temperature: 0,
+      json: true,
+    });
+
+    const parsed = parseLlmJson(completion.text);
+    const scores = new Map((parsed.scores || []).map((s) => [Number(s.i), Number(s.score) || 0]));
+
+    return hits
+      .map((h, i) => ({ ...h, rerank_score: scores.get(i) ?? 0 }))
+      .sort((a, b) => b.rerank_score - a.rerank_score);
+  } catch (e) {
+    console.warn("rerank failed, keeping fused order:", e?.message || e);
+    return hits;
+  }
+}
+
+async function retrieveContext({
+  queryEmbedding,
+  queryText = "",
+  topK = DEFAULT_TOPK,
+  threshold = DEFAULT_MATCH_THRESHOLD,
+  filters = null, // normalized, from normalizeSearchFilters
+  mode = "vector",
+  rerank = false,
+  // overrides for offline evaluation: a fixture store and a fixed noise rule set
+  db = supabase,
+  noiseRules: rulesOverride = null,
+}) {
+  const filterNoise = Boolean(rulesOverride) || NOISE_FILTER_AT_QUERY;
+  const rules = rulesOverride || (NOISE_FILTER_AT_QUERY ? await loadNoiseRules() : []);
+  const clean = (rows) =>
+    rows.filter((r) => !r.excluded && !(filterNoise && (!r.content || matchNoiseRule(r.content, rules))));
+
+  if (mode !== "hybrid") {
+    const hits = clean(await vectorSearch({ queryEmbedding, topK, threshold, filters, db }))
+      .map((h) => ({ ...h, retrievers: ["vector"] }));
+    return rerank ? rerankHits(queryText, hits) : hits;
+  }
+
+  // Over-fetch from both retrievers so fusion has something to choose from
+  const poolSize = topK * 2;
+  const [vectorHits, keywordHits] = await Promise.all([
+    vectorSearch({ queryEmbedding, topK: poolSize, threshold, filters, db }),
+    queryText ? keywordSearch({ queryText, topK: poolSize, filters, db }) : [],
+  ]);
+
+  let fused = fuseRankings({ vector: clean(vectorHits), keyword: clean(keywordHits) });
+  if (rerank) fused = await rerankHits(queryText, fused);
+  return fused.slice(0, topK);
+}
+
+// Request filter key -> RPC filter key. Lists match any of their values; ranges are inclusive.
+const SEARCH_FILTER_LISTS = {
+  documents: "document_ids",
+  exclude_documents: "exclude_document_ids",
+  sections: "sections",
+  exclude_sections: "exclude_sections",
+  parts: "parts",
+  publishers: "publishers",
+  doc_types: "doc_types",
+};
+const SEARCH_FILTER_RANGES = { pages: "page", years: "year" };
+
+// { documents: [...], sections: [...], pages: { from, to }, ... } -> { document_ids, sections, page_from, ... }.
+// Unknown keys are rejected so a typo can't silently widen the search.
+function normalizeSearchFilters(raw) {
+  if (raw == null) return { filters: null };
+  if (typeof raw !== "object" || Array.isArray(raw)) return { error: "filters must be an object" };
+
+  const out = {};
+  for (const [key, value] of Object.entries(raw)) {
+    if (SEARCH_FILTER_LISTS[key]) {
+      if (!Array.isArray(value) || value.some((v) => typeof v !== "string" || !v.trim())) {
+        return { error: `filters.${key} must be an array of strings` };
       }
+      if (value.length) out[SEARCH_FILTER_LISTS[key]] = [...new Set(value.map((v) => v.trim()))];
+    } else if (SEARCH_FILTER_RANGES[key]) {
+      const { from, to, ...extra } = value && typeof value === "object" ? value : { invalid: true };
+      if (Object.keys(extra).length || [from, to].some((v) => v != null && !Number.isInteger(v))) {
+        return { error: `filters.${key} must be { from?, to? } with integer bounds` };
+      }
+      if (from != null && to != null && from > to) return { error: `filters.${key}.from must be <= to` };
+      if (from != null) out[`${SEARCH_FILTER_RANGES[key]}_from`] = from;
+      if (to != null) out[`${SEARCH_FILTER_RANGES[key]}_to`] = to;
+    } else {
+      const supported = [...Object.keys(SEARCH_FILTER_LISTS), ...Object.keys(SEARCH_FILTER_RANGES)];
+      return { error: `unsupported filter "${key}" (supported: ${supported.join(", ")})` };
     }
-  } else {
-    ({ data, error } = await supabase.rpc("match_documents", payloadNoFilter));
   }
+  return { filters: Object.keys(out).length ? out : null };
+}
 
-  if (error) throw error;
+// Per-request retrieval options shared by /api/search and /api/ask-cma
+function parseRetrievalOptions(body) {
+  const { retrieval, rerank, filters, filterDoc } = body || {};
+  if (retrieval != null && !RETRIEVAL_MODES.includes(retrieval)) {
+    return { error: `retrieval must be one of: ${RETRIEVAL_MODES.join(", ")}` };
+  }
+  const parsed = normalizeSearchFilters(filters);
+  if (parsed.error) return parsed;
+  // filterDoc predates `filters`; it's shorthand for filters.documents = [filterDoc]
+  let normalized = parsed.filters;
+  if (typeof filterDoc === "string" && filterDoc) {
+    if (normalized?.document_ids) return { error: "use filters.documents or filterDoc, not both" };
+    normalized = { ...normalized, document_ids: [filterDoc] };
+  }
+  return { mode: retrieval || DEFAULT_RETRIEVAL_MODE, rerank: rerank === true, filters: normalized };
+}
 
-  const cleaned = (data || []).filter((r) => !isNoisyChunk(r.content));
-  return cleaned;
+// ---- context packing ----
+
+// Older GPT models use cl100k; newer OpenAI models use o200k, which is also a fair
+// stand-in for providers we have no local tokenizer for.
+function countTokens(text, model = "") {
+  const t = String(text || "");
+  if (/^gpt-(3\.5|4)(?!o|\.)/.test(model)) return countCl100k(t);
+  return countO200k(t);
+}
+
+function wordShingles(text) {
+  const words = sanitizeText(text).toLowerCase().match(/[a-z0-9$%.]+/g) || [];
+  const out = new Set();
+  for (let i = 0; i + 2 < words.length; i++) out.add(`${words[i]} ${words[i + 1]} ${words[i + 2]}`);
+  return out;
+}
+
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let inter = 0;
+  for (const x of a) if (b.has(x)) inter++;
+  return inter / (a.size + b.size - inter);
+}
+
+// Drop exact repeats and near-duplicates (same passage in two editions, overlapping scans), keeping rank order
+function dedupeHits(hits) {
+  const kept = [];
+  const seen = new Set();
+  for (const h of hits) {
+    const key = hitKey(h);
+    if (seen.has(key)) continue;
+    const sh = wordShingles(h.content);
+    if (kept.some((k) => jaccard(k.shingles, sh) >= NEAR_DUPLICATE_JACCARD)) continue;
+    seen.add(key);
+    kept.push({ hit: h, shingles: sh });
+  }
+  return kept.map((k) => k.hit);
 }
 
-function buildContextBlock(hits, maxChars = 12000) {
-  // avoid dumping enormous context to model
-  let out = "";
+// Fetch chunk_index ± n around each hit so a worked example isn't cut off mid-way
+async function fetchNeighborChunks(hits, n) {
+  if (n <= 0 || hits.length === 0) return [];
+
+  const wanted = new Map(); // document_id -> Set(chunk_index)
   for (const h of hits) {
-    const piece =
-      `SOURCE: ${h.document_id} | page:${h.page_number} | chunk:${h.chunk_index}\n` +
-      `${sanitizeText(h.content)}\n\n---\n\n`;
+    if (!wanted.has(h.document_id)) wanted.set(h.document_id, new Set());
+    for (let d = -n; d <= n; d++) {
+      if (d !== 0 && h.chunk_index + d >= 0) wanted.get(h.document_id).add(h.chunk_index + d);
+    }
+  }
+
+  const have = new Set(hits.map(hitKey));
+  const out = [];
+  for (const [documentId, idxs] of wanted) {
+    const { data, error } = await supabase
+      .from(DOCUMENTS_TABLE)
+      .select("document_id, page_number, chunk_index, content, excluded")
+      .eq("document_id", documentId)
+      .in("chunk_index", [...idxs]);
+    if (error) {
+      console.warn(`neighbor fetch for ${documentId} failed:`, error.message);
+      continue;
+    }
+    for (const row of data || []) {
+      if (row.excluded || isNoisyChunk(row.content) || have.has(hitKey(row))) continue;
+      out.push({ ...row, retrievers: ["neighbor"] });
+    }
+  }
+  return out;
+}
+
+// Ingested chunks overlap; strip the repeated prefix when stitching b after a
+function trimOverlap(a, b, maxOverlap = 600) {
+  const max = Math.min(maxOverlap, a.length, b.length);
+  for (let len = max; len >= 20; len--) {
+    if (a.endsWith(b.slice(0, len))) return b.slice(len).trimStart();
+  }
+  return b;
+}
+
+// Packs hits into a token-budgeted "Library Context" block. Adjacent chunks of the
+// same document are stitched into one passage (overlap removed); every chunk keeps its
+// own SOURCE label so [doc | page | chunk] citations still resolve. Passages that don't
+// fit are skipped, not treated as the end of the list.
+// Returns { block, hits, tokens } where hits are the chunks that made it into the block.
+async function packContext(hits, { model = "", maxTokens = CONTEXT_TOKEN_BUDGET, neighbors = CONTEXT_NEIGHBORS } = {}) {
+  const ranked = dedupeHits(hits);
+  const extra = await fetchNeighborChunks(ranked, neighbors);
+  const byPos = new Map([...ranked, ...extra].map((h) => [`${h.document_id}|${h.chunk_index}`, h]));
+  const ranks = new Set(ranked.map(hitKey));
+
+  // group into runs of consecutive chunk_index within a document, ordered by their best hit
+  const used = new Set();
+  const passages = [];
+  for (const h of ranked) {
+    if (used.has(hitKey(h))) continue;
+    const run = [h];
+    used.add(hitKey(h));
+    const extend = (step) => {
+      let anchor = h.chunk_index;
+      for (let i = h.chunk_index + step; ; i += step) {
+        const next = byPos.get(`${h.document_id}|${i}`);
+        if (!next || used.has(hitKey(next))) break;
+        // neighbors only attach within reach of a ranked hit
+        if (ranks.has(hitKey(next))) anchor = i;
+        else if (Math.abs(i - anchor) > neighbors) break;
+        used.add(hitKey(next));
+        if (step < 0) run.unshift(next);
+        else run.push(next);
+      }
+    };
+    extend(-1);
+    extend(1);
+    passages.push(run);
+  }
 
-    if (out.length + piece.length > maxChars) break;
-    out += piece;
+  const blocks = [];
+  const packed = [];
+  let tokens = 0;
+  for (const run of passages) {
+    let prev = "";
+    const text = run
+      .map((c) => {
+        const body = prev ? trimOverlap(prev, sanitizeText(c.content)) : sanitizeText(c.content);
+        prev = sanitizeText(c.content);
+        return `SOURCE: ${c.document_id} | page:${c.page_number} | chunk:${c.chunk_index}\n${body}`;
+      })
+      .join("\n");
+    const piece = `${text}\n\n---\n\n`;
+    const cost = countTokens(piece, model);
+    if (tokens + cost > maxTokens) continue;
+    tokens += cost;
+    blocks.push(piece);
+    packed.push(...run);
   }
-  return out.trim();
+
+  return { block: blocks.join("").trim(), hits: packed, tokens };
 }
 
 function safeHistory(history) {
@@ -170,21 +1177,47 @@ function jsonError(res, status, message, details) {
   return res.status(status).json({ ok: false, error: message, details });
 }
 
+// Student routes: `Authorization: Bearer <supabase access token>`
+async function resolveUser(req) {
+  if (req.user !== undefined) return req.user;
+  req.user = null;
+  const m = String(req.headers.authorization || "").match(/^Bearer\s+(.+)$/i);
+  if (!m) return null;
+  const { data, error } = await supabase.auth.getUser(m[1]);
+  if (error || !data?.user) return null;
+  req.user = data.user;
+  return req.user;
+}
+
+// Library admin routes: `Authorization: Bearer <ADMIN_API_KEY>`
+function requireAdmin(req, res, next) {
+  if (!ADMIN_API_KEY) return jsonError(res, 503, "admin_disabled");
+  const auth = String(req.headers.authorization || "");
+  if (auth !== `Bearer ${ADMIN_API_KEY}`) return jsonError(res, 401, "unauthorized");
+  next();
+}
+
 // ---- routes ----
 app.get("/health", (_req, res) => res.json({ ok: true, env: NODE_ENV }));
 
 // Optional: raw vector search endpoint (useful to debug frontend)
 app.post("/api/search", async (req, res) => {
   try {
-    const { query, topK, threshold, filterDoc } = req.body || {};
+    const { query, topK, threshold } = req.body || {};
     if (!query || typeof query !== "string") return jsonError(res, 400, "query required");
 
+    const retrieval = parseRetrievalOptions(req.body);
+    if (retrieval.error) return jsonError(res, 400, retrieval.error);
+
     const qEmbed = await embedOne(query);
     const hits = await retrieveContext({
       queryEmbedding: qEmbed,
+      queryText: sanitizeText(query),
       topK: typeof topK === "number" ? topK : DEFAULT_TOPK,
       threshold: typeof threshold === "number" ? threshold : DEFAULT_MATCH_THRESHOLD,
-      filterDoc: typeof filterDoc === "string" ? filterDoc : null,
+      filters: retrieval.filters,
+      mode: retrieval.mode,
+      rerank: retrieval.rerank,
     });
 
     res.json({
@@ -194,101 +1227,2522 @@ app.post("/api/search", async (req, res) => {
         page_number: h.page_number,
         chunk_index: h.chunk_index,
         similarity: h.similarity,
+        retrievers: h.retrievers,
+        rrf_score: h.rrf_score,
+        rerank_score: h.rerank_score,
         content: h.content,
       })),
     });
   } catch (e) {
     console.error(e);
+    if (e?.status === 501) return jsonError(res, 501, "filter_unsupported", e.message);
     return jsonError(res, 500, "search error", String(e?.message || e));
   }
 });
 
-app.post("/api/ask-cma", async (req, res) => {
-  try {
-    const { message, subject, mode, history, activeContext, filterDoc } = req.body || {};
-
-    if (!message || typeof message !== "string") {
-      return jsonError(res, 400, "message required");
-    }
+function tutorSources(hits) {
+  return hits.map((h) => ({
+    document_id: h.document_id,
+    page_number: h.page_number,
+    chunk_index: h.chunk_index,
+    similarity: h.similarity,
+    retrievers: h.retrievers,
+  }));
+}
 
-    const userMsg = sanitizeText(message);
-    if (userMsg.length < 2) return jsonError(res, 400, "message too short");
+// ---- citation verification ----
+// Matches the "[doc | page | chunk]" format the system prompt asks for, tolerating
+// "page:"/"p." and "chunk:" prefixes the model sometimes adds.
+const CITATION_RE = /\[\s*([^\[\]|]+?)\s*\|\s*(?:page|p\.?)?\s*:?\s*(\d+)\s*\|\s*(?:chunk)?\s*:?\s*(\d+)\s*\]/gi;
+const CITATION_POLICIES = ["flag", "strip", "mark"];
+
+function verifyCitations(answer, hits) {
+  const byKey = new Map(hits.map((h) => [hitKey(h).toLowerCase(), h]));
+  const citations = [];
+  for (const m of String(answer || "").matchAll(CITATION_RE)) {
+    const [marker, doc, page, chunk] = m;
+    const hit = byKey.get(`${doc.trim()}|${Number(page)}|${Number(chunk)}`.toLowerCase());
+    citations.push({
+      marker,
+      start: m.index,
+      end: m.index + marker.length,
+      document_id: doc.trim(),
+      page_number: Number(page),
+      chunk_index: Number(chunk),
+      verified: Boolean(hit),
+      // chunk text span the citation points at, so the UI can show it inline
+      excerpt: hit ? sanitizeText(hit.content).slice(0, 500) : null,
+    });
+  }
+  return citations;
+}
 
-    // 1) embed question
-    const qEmbed = await embedOne(userMsg);
+// flag: leave the answer alone; strip: drop unverified markers; mark: tag them in place
+function applyCitationPolicy(answer, citations, policy) {
+  if (policy === "flag") return answer;
+  let out = answer;
+  // walk backwards so earlier offsets stay valid
+  for (const c of [...citations].reverse()) {
+    if (c.verified) continue;
+    const replacement = policy === "strip" ? "" : `${c.marker.slice(0, -1)} — unverified]`;
+    out = out.slice(0, c.start) + replacement + out.slice(c.end);
+  }
+  return policy === "strip" ? out.replace(/[ \t]+([.,;:])/g, "$1").replace(/[ \t]{2,}/g, " ") : out;
+}
 
-    // 2) retrieve context
-    const hits = await retrieveContext({
-      queryEmbedding: qEmbed,
-      topK: DEFAULT_TOPK,
-      threshold: DEFAULT_MATCH_THRESHOLD,
-      filterDoc: typeof filterDoc === "string" ? filterDoc : null,
-    });
-
-    const contextBlock = buildContextBlock(hits, 12000);
-
-    const systemLines = [
-      "You are a CMA US tutor. Be accurate and exam-focused.",
-      "If you use retrieved sources, cite them exactly as: [doc | page | chunk].",
-      subject ? `Subject focus: ${sanitizeText(subject).slice(0, 80)}` : "",
-      mode === "VAULT_REF" ? "Use the library sources heavily." : "",
-      mode === "FOLLOW_UP" && activeContext
-        ? `Active study context:\n${sanitizeText(activeContext).slice(0, 2000)}`
-        : "",
-      "If you are unsure, say so and ask a single clarifying question.",
-    ].filter(Boolean);
+function parseCitationPolicy(body) {
+  const policy = body?.citations ?? "flag";
+  if (!CITATION_POLICIES.includes(policy)) {
+    return { error: `citations must be one of: ${CITATION_POLICIES.join(", ")}` };
+  }
+  return { policy };
+}
 
-    const sys = systemLines.join("\n");
+// ---- grounding ----
 
-    const messages = [
-      { role: "system", content: `${sys}\n\nLibrary Context:\n${contextBlock}` },
-      ...safeHistory(history),
-      { role: "user", content: userMsg.slice(0, 4000) },
-    ];
+const NO_COVERAGE_ANSWER =
+  "The CoStudy library doesn't cover this question well enough for a library-backed answer. " +
+  "Try rephrasing with the exact term or topic name, or ask your instructor.";
 
-    // 3) chat completion
-    const completion = await openai.chat.completions.create({
-      model: CHAT_MODEL,
-      messages,
-      temperature: 0.3,
-    });
+// The client asks for a mode; a cohort policy (tutor_cohort_policies, keyed by the
+// user's app_metadata.cohort, which students can't edit) can only make it stricter.
+async function resolveGroundingMode(req) {
+  const requested = req.body?.grounding ?? "off";
+  if (!GROUNDING_MODES.includes(requested)) {
+    return { error: `grounding must be one of: ${GROUNDING_MODES.join(", ")}` };
+  }
 
-    const answer = completion.choices?.[0]?.message?.content || "No answer.";
+  const cohort = (await resolveUser(req))?.app_metadata?.cohort;
+  if (!cohort) return { mode: requested, cohort: null };
+
+  const { data: policy } = await supabase
+    .from("tutor_cohort_policies")
+    .select("grounding")
+    .eq("cohort", cohort)
+    .maybeSingle();
+  const enforced = GROUNDING_MODES.includes(policy?.grounding) ? policy.grounding : "off";
+  const mode = GROUNDING_MODES.indexOf(enforced) > GROUNDING_MODES.indexOf(requested) ? enforced : requested;
+  return { mode, cohort };
+}
 
-    res.json({
-      ok: true,
-      answer,
-      sources: hits.map((h) => ({
-        document_id: h.document_id,
-        page_number: h.page_number,
-        chunk_index: h.chunk_index,
-        similarity: h.similarity,
-      })),
-    });
-  } catch (e) {
-    console.error(e);
-    return jsonError(res, 500, "AI backend error", String(e?.message || e));
-  }
-});
+// Retrieval is "covered" when at least one hit is a strong vector match or a keyword match
+function hasLibraryCoverage(hits) {
+  return hits.some(
+    (h) => (h.similarity ?? 0) >= STRICT_MIN_SIMILARITY || (h.retrievers || []).includes("keyword")
+  );
+}
 
-app.post("/api/summarize", async (req, res) => {
+// LLM judge: split the answer into factual claims and check each against the context
+async function scoreGrounding(answer, contextBlock) {
   try {
-    const { text } = req.body || {};
-    if (!text || typeof text !== "string") return jsonError(res, 400, "text required");
-
-    const completion = await openai.chat.completions.create({
-      model: CHAT_MODEL,
+    const completion = await llmChat("grounding", {
       messages: [
-        { role: "system", content: "Summarize into 3-5 crisp bullet points for CMA exam prep." },
-        { role: "user", content: sanitizeText(text).slice(0, 12000) },
+        {
+          role: "system",
+          content:
+            "You check whether a tutor's answer is supported by library excerpts. Split the answer into its factual " +
+            "claims (definitions, formulas, numbers, rules); skip greetings and study advice. For each claim decide if the " +
+            'excerpts support it. Return ONLY JSON: {"claims":[{"claim":"...","supported":true|false,"source":"doc | page | chunk"|null}]}',
+        },
+        { role: "user", content: `LIBRARY EXCERPTS:\n${contextBlock || "(none)"}\n\nANSWER:\n${answer.slice(0, 8000)}` },
+      ],
+      temperature: 0,
+      json: true,
+    });
+
+    const claims = (parseLlmJson(completion.text).claims || []).map((c) => ({
+      claim: sanitizeText(c.claim).slice(0, 300),
+      supported: c.supported === true,
+      source: c.source || null,
+    }));
+    // nothing checkable (procedural or clarifying answers): neutral, so strict mode lets it through
+    if (!claims.length) return { verdict: "no_claims", score: null, supported: 0, total: 0, claims };
+
+    const supported = claims.filter((c) => c.supported).length;
+    const score = supported / claims.length;
+    const verdict =
+      score >= GROUNDING_SUPPORTED_RATIO ? "supported" : score >= GROUNDING_PARTIAL_RATIO ? "partial" : "unsupported";
+
+    return { verdict, score: Math.round(score * 100) / 100, supported, total: claims.length, claims };
+  } catch (e) {
+    console.warn("grounding check failed:", e?.message || e);
+    return { verdict: "unknown", score: null, supported: 0, total: 0, claims: [] };
+  }
+}
+
+// Post-processing shared by JSON and streaming modes once the full answer is known
+async function finishTutorAnswer(turn, rawAnswer, calculations = []) {
+  const citations = verifyCitations(rawAnswer, turn.hits);
+  let answer = applyCitationPolicy(rawAnswer, citations, turn.citationPolicy);
+
+  let grounding = null;
+  if (turn.noCoverage) {
+    grounding = { mode: turn.grounding, verdict: "no_coverage", score: 0, supported: 0, total: 0, claims: [] };
+  } else if (turn.grounding !== "off") {
+    // calculator output backs the computed figures the same way excerpts back the facts
+    const calcBlock = calculations
+      .filter((c) => !c.error)
+      .map((c) => `CALCULATOR ${c.tool}: ${(c.steps || []).join("; ")}`)
+      .join("\n");
+    const evidence = calcBlock ? `${turn.contextBlock}\n\n${calcBlock}` : turn.contextBlock;
+    grounding = { mode: turn.grounding, ...(await scoreGrounding(rawAnswer, evidence)) };
+    // strict: an answer the library doesn't back is withheld rather than shown
+    if (turn.grounding === "strict" && grounding.verdict === "unsupported") {
+      answer = NO_COVERAGE_ANSWER;
+      grounding.withheld = true;
+    }
+  }
+
+  return {
+    answer,
+    citations,
+    unverified_citations: citations.filter((c) => !c.verified).length,
+    grounding,
+    calculations,
+  };
+}
+
+// Stands in for the model when strict mode has nothing to ground on
+async function* noCoverageStream() {
+  yield { type: "delta", content: NO_COVERAGE_ANSWER };
+  yield { type: "done", finish_reason: "no_coverage", usage: null, provider: null, model: null, failover: [] };
+}
+
+// ---- tutor conversations ----
+// tutor_conversations: id, user_id, title, subject, summary, summary_through, created_at, updated_at
+// tutor_messages:      id, conversation_id, role, content, sources, created_at
+
+function estimateTokens(text) {
+  return countTokens(text, llmTargets("tutor")[0]?.model);
+}
+
+async function getConversation(id, userId) {
+  const { data } = await supabase
+    .from("tutor_conversations")
+    .select("id, user_id, title, subject, summary, summary_through, created_at, updated_at")
+    .eq("id", id)
+    .eq("user_id", userId)
+    .maybeSingle();
+  return data || null;
+}
+
+async function summarizeConversation(previousSummary, messages) {
+  const transcript = messages.map((m) => `${m.role.toUpperCase()}: ${m.content}`).join("\n\n");
+  const completion = await llmChat("summarize", {
+    messages: [
+      {
+        role: "system",
+        content:
+          "You maintain a running summary of a CMA tutoring session. Merge the previous summary with the new turns. " +
+          "Keep topics covered, formulas and numbers worked through, the student's misconceptions and open questions. " +
+          "Be concise (under 250 words).",
+      },
+      {
+        role: "user",
+        content: `PREVIOUS SUMMARY:\n${previousSummary || "(none)"}\n\nNEW TURNS:\n${transcript.slice(0, 24000)}`,
+      },
+    ],
+    temperature: 0.2,
+  });
+  return completion.text || previousSummary || "";
+}
+
+// Chat history for a stored thread: rolling summary + unsummarized tail, folding
+// the oldest turns into the summary once the tail goes over budget.
+async function conversationHistory(conv) {
+  let q = supabase
+    .from("tutor_messages")
+    .select("role, content, created_at")
+    .eq("conversation_id", conv.id)
+    .order("created_at");
+  if (conv.summary_through) q = q.gt("created_at", conv.summary_through);
+  const { data: msgs, error } = await q;
+  if (error) throw error;
+
+  let recent = msgs || [];
+  let summary = conv.summary || "";
+  const tailTokens = recent.reduce((n, m) => n + estimateTokens(m.content), 0);
+
+  if (tailTokens > CONVERSATION_TOKEN_BUDGET && recent.length > CONVERSATION_KEEP_RECENT) {
+    const older = recent.slice(0, -CONVERSATION_KEEP_RECENT);
+    recent = recent.slice(-CONVERSATION_KEEP_RECENT);
+    summary = await summarizeConversation(summary, older);
+    const summaryThrough = older[older.length - 1].created_at;
+    await supabase
+      .from("tutor_conversations")
+      .update({ summary, summary_through: summaryThrough })
+      .eq("id", conv.id);
+  }
+
+  const history = [];
+  if (summary) history.push({ role: "system", content: `Summary of the earlier conversation:\n${summary}` });
+  history.push(...recent.map((m) => ({ role: m.role === "user" ? "user" : "assistant", content: m.content })));
+  return history;
+}
+
+async function saveConversationTurn(turn, finished) {
+  const conv = turn.conversation;
+  if (!conv) return;
+
+  const { error } = await supabase.from("tutor_messages").insert([
+    { conversation_id: conv.id, role: "user", content: turn.userMsg, created_at: turn.startedAt },
+    {
+      conversation_id: conv.id,
+      role: "assistant",
+      content: finished.answer,
+      sources: tutorSources(turn.hits),
+      created_at: new Date().toISOString(),
+    },
+  ]);
+  // the student already has the answer; a failed save shouldn't turn it into an error
+  if (error) {
+    console.error(`conversation ${conv.id} save failed:`, error.message);
+    return;
+  }
+
+  await supabase
+    .from("tutor_conversations")
+    .update({
+      updated_at: new Date().toISOString(),
+      ...(conv.title ? {} : { title: turn.userMsg.slice(0, 80) }),
+    })
+    .eq("id", conv.id);
+}
+
+// ---- query rewriting ----
+
+function parseRewriteOptions(body) {
+  const { rewrite, expand } = body || {};
+  if (rewrite != null && !REWRITE_MODES.includes(rewrite)) {
+    return { error: `rewrite must be one of: ${REWRITE_MODES.join(", ")}` };
+  }
+  const n = expand == null ? 0 : Number(expand);
+  if (!Number.isInteger(n) || n < 0 || n > MAX_QUERY_EXPANSIONS) {
+    return { error: `expand must be an integer from 0 to ${MAX_QUERY_EXPANSIONS}` };
+  }
+  return { rewrite: rewrite || "auto", expand: n };
+}
+
+// Turn a follow-up ("why is that?") into a standalone search query using the recent
+// turns, plus up to `expand` alternative phrasings. Falls back to the raw message.
+async function rewriteQuery({ userMsg, priorTurns, activeContext, expand }) {
+  const recent = priorTurns
+    .slice(-6)
+    .map((m) => `${m.role.toUpperCase()}: ${m.content.slice(0, 800)}`)
+    .join("\n");
+
+  try {
+    const completion = await llmChat("rewrite", {
+      messages: [
+        {
+          role: "system",
+          content:
+            "Rewrite the student's latest message into a standalone search query for a CMA exam library. " +
+            "Resolve pronouns and references from the conversation, keep exact terms (standards, formulas, company names). " +
+            (expand > 0 ? `Also give ${expand} alternative phrasings that could match differently worded passages. ` : "") +
+            'Return ONLY JSON: {"query":"...","expansions":["..."]}',
+        },
+        {
+          role: "user",
+          content:
+            (activeContext ? `ACTIVE STUDY CONTEXT:\n${sanitizeText(activeContext).slice(0, 1500)}\n\n` : "") +
+            `CONVERSATION:\n${recent || "(none)"}\n\nLATEST MESSAGE: ${userMsg.slice(0, 1000)}`,
+        },
+      ],
+      temperature: 0,
+      json: true,
+    });
+
+    const parsed = parseLlmJson(completion.text);
+    const query = sanitizeText(parsed.query).slice(0, 500) || userMsg;
+    const expansions = (Array.isArray(parsed.expansions) ? parsed.expansions : [])
+      .map((q) => sanitizeText(q).slice(0, 500))
+      .filter((q) => q && q !== query)
+      .slice(0, expand);
+    return { query, expansions };
+  } catch (e) {
+    console.warn("query rewrite failed, using raw message:", e?.message || e);
+    return { query: userMsg, expansions: [] };
+  }
+}
+
+// Run retrieval once per query and fuse the lists (RRF), keeping the union of retrievers
+async function retrieveForQueries(queries, opts) {
+  const lists = await Promise.all(
+    queries.map(async (q) => retrieveContext({ ...opts, queryEmbedding: await embedOne(q), queryText: q }))
+  );
+  if (lists.length === 1) return lists[0];
+
+  const merged = new Map();
+  lists.forEach((hits, qi) => {
+    hits.forEach((h, i) => {
+      const key = hitKey(h);
+      const cur = merged.get(key) || { ...h, retrievers: [], matched_queries: [], query_rrf: 0 };
+      cur.retrievers = [...new Set([...cur.retrievers, ...(h.retrievers || [])])];
+      cur.matched_queries.push(qi);
+      cur.query_rrf += 1 / (RRF_K + i + 1);
+      if (h.similarity != null) cur.similarity = Math.max(cur.similarity ?? -Infinity, h.similarity);
+      merged.set(key, cur);
+    });
+  });
+  return [...merged.values()].sort((a, b) => b.query_rrf - a.query_rrf).slice(0, opts.topK);
+}
+
+// Shared by JSON and streaming modes: embed, retrieve, build chat messages
+async function prepareTutorTurn(
+  body,
+  retrieval,
+  conversation = null,
+  rewriteOpts = { rewrite: "off", expand: 0 },
+  grounding = "off"
+) {
+  const { message, subject, mode, history, activeContext, calculators } = body || {};
+
+  const userMsg = sanitizeText(message);
+
+  // A stored conversation replaces whatever history the client sent
+  const priorTurns = conversation ? await conversationHistory(conversation) : safeHistory(history);
+
+  // 1) standalone search query (follow-ups only, unless forced)
+  const shouldRewrite =
+    rewriteOpts.rewrite === "always" ||
+    (rewriteOpts.rewrite === "auto" && (mode === "FOLLOW_UP" || priorTurns.length > 0));
+  const rewritten = shouldRewrite
+    ? await rewriteQuery({ userMsg, priorTurns, activeContext, expand: rewriteOpts.expand })
+    : { query: userMsg, expansions: [] };
+  const searchQueries = [rewritten.query, ...rewritten.expansions];
+
+  // 2) embed + retrieve context
+  const hits = await retrieveForQueries(searchQueries, {
+    topK: DEFAULT_TOPK,
+    threshold: DEFAULT_MATCH_THRESHOLD,
+    filters: retrieval.filters,
+    mode: retrieval.mode,
+    rerank: retrieval.rerank,
+  });
+
+  const neighbors = Number.isInteger(body?.neighbors)
+    ? Math.min(Math.max(body.neighbors, 0), MAX_CONTEXT_NEIGHBORS)
+    : CONTEXT_NEIGHBORS;
+  const packed = await packContext(hits, { model: llmTargets("tutor")[0]?.model, neighbors });
+  const contextBlock = packed.block;
+
+  const strict = grounding === "strict";
+  const tools = calculators === false ? null : FINANCE_TOOLS;
+
+  const systemLines = [
+    "You are a CMA US tutor. Be accurate and exam-focused.",
+    "If you use retrieved sources, cite them exactly as: [doc | page | chunk].",
+    subject ? `Subject focus: ${sanitizeText(subject).slice(0, 80)}` : "",
+    mode === "VAULT_REF" ? "Use the library sources heavily." : "",
+    strict
+      ? "Answer ONLY from the Library Context below and cite every fact. If the context does not cover the question, say the library does not cover it instead of answering from memory."
+      : "",
+    mode === "FOLLOW_UP" && activeContext
+      ? `Active study context:\n${sanitizeText(activeContext).slice(0, 2000)}`
+      : "",
+    tools
+      ? "For any CMA arithmetic (time value, NPV, IRR, payback, EOQ, breakeven, variances, ratios, absorption vs variable costing), call the calculator tools instead of computing by hand, and show each step they return."
+      : "",
+    "If you are unsure, say so and ask a single clarifying question.",
+  ].filter(Boolean);
+
+  const sys = systemLines.join("\n");
+
+  const messages = [
+    { role: "system", content: `${sys}\n\nLibrary Context:\n${contextBlock}` },
+    ...priorTurns,
+    { role: "user", content: userMsg.slice(0, 4000) },
+  ];
+
+  return {
+    hits: packed.hits,
+    contextTokens: packed.tokens,
+    messages,
+    userMsg,
+    conversation,
+    contextBlock,
+    grounding,
+    tools,
+    noCoverage: strict && !hasLibraryCoverage(hits),
+    rewrittenQuery: shouldRewrite ? rewritten.query : null,
+    searchQueries,
+    answerId: randomUUID(),
+    subject: subject ? sanitizeText(subject).slice(0, 80) : null,
+    mode: typeof mode === "string" ? mode.slice(0, 40) : null,
+  };
+}
+
+// Clients opt into SSE with `stream: true` or an `Accept: text/event-stream` header
+function wantsStream(req) {
+  if (req.body?.stream === true) return true;
+  return String(req.headers.accept || "").includes("text/event-stream");
+}
+
+function sseSend(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Stream events: sources -> (delta | calculation)* -> done (or error). Aborts generation if the client goes away.
+async function streamTutorAnswer(res, turn) {
+  const { hits, messages } = turn;
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no"); // nginx: don't buffer the stream
+  res.flushHeaders();
+
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  sseSend(res, "sources", {
+    sources: tutorSources(hits),
+    rewritten_query: turn.rewrittenQuery,
+    search_queries: turn.searchQueries,
+  });
+
+  let rawAnswer = "";
+  let final = {};
+  try {
+    const opts = { messages, temperature: 0.3, signal: controller.signal };
+    const stream = turn.noCoverage
+      ? noCoverageStream()
+      : turn.tools
+        ? llmChatStreamWithTools("tutor", { ...opts, tools: turn.tools })
+        : llmChatStream("tutor", opts);
+
+    for await (const ev of stream) {
+      if (ev.type === "delta") {
+        rawAnswer += ev.content;
+        sseSend(res, "delta", { content: ev.content });
+      } else if (ev.type === "tool") {
+        sseSend(res, "calculation", { calls: ev.calls });
+      } else {
+        final = ev;
+      }
+    }
+
+    // The streamed text can't be rewritten, so `answer` (policy applied) is sent for the client to swap in
+    const finished = await finishTutorAnswer(turn, rawAnswer, final.tool_calls || []);
+    await saveConversationTurn(turn, finished);
+    await recordTutorAnswer(turn, finished, final);
+    sseSend(res, "done", {
+      answer_id: turn.answerId,
+      finish_reason: final.finish_reason,
+      usage: final.usage,
+      provider: final.provider,
+      model: final.model,
+      failover: final.failover,
+      conversation_id: turn.conversation?.id || null,
+      ...finished,
+    });
+  } catch (e) {
+    if (controller.signal.aborted) return; // client disconnected, nothing to report
+    console.error(e);
+    sseSend(res, "error", { error: "AI backend error", details: String(e?.message || e) });
+  }
+  res.end();
+}
+
+app.post("/api/ask-cma", async (req, res) => {
+  // latency_ms in the answer log counts from here, retrieval and rewriting included
+  const receivedAt = new Date().toISOString();
+  try {
+    const { message } = req.body || {};
+
+    if (!message || typeof message !== "string") {
+      return jsonError(res, 400, "message required");
+    }
+
+    const userMsg = sanitizeText(message);
+    if (userMsg.length < 2) return jsonError(res, 400, "message too short");
+
+    const retrieval = parseRetrievalOptions(req.body);
+    if (retrieval.error) return jsonError(res, 400, retrieval.error);
+
+    const citationOpts = parseCitationPolicy(req.body);
+    if (citationOpts.error) return jsonError(res, 400, citationOpts.error);
+
+    const rewriteOpts = parseRewriteOptions(req.body);
+    if (rewriteOpts.error) return jsonError(res, 400, rewriteOpts.error);
+
+    const grounding = await resolveGroundingMode(req);
+    if (grounding.error) return jsonError(res, 400, grounding.error);
+
+    if (req.body.calculators != null && typeof req.body.calculators !== "boolean") {
+      return jsonError(res, 400, "calculators must be a boolean");
+    }
+
+    let conversation = null;
+    if (req.body.conversation_id) {
+      const user = await resolveUser(req);
+      if (!user) return jsonError(res, 401, "unauthorized");
+      conversation = await getConversation(String(req.body.conversation_id), user.id);
+      if (!conversation) return jsonError(res, 404, "conversation_not_found");
+    }
+
+    const turn = await prepareTutorTurn(req.body, retrieval, conversation, rewriteOpts, grounding.mode);
+    turn.citationPolicy = citationOpts.policy;
+    turn.startedAt = receivedAt;
+    turn.userId = (await resolveUser(req))?.id || null;
+
+    if (wantsStream(req)) return await streamTutorAnswer(res, turn);
+
+    // 3) chat completion
+    const completion = turn.noCoverage
+      ? { text: NO_COVERAGE_ANSWER, provider: null, model: null, failover: [] }
+      : turn.tools
+        ? await llmChatWithTools("tutor", { messages: turn.messages, temperature: 0.3, tools: turn.tools })
+        : await llmChat("tutor", { messages: turn.messages, temperature: 0.3 });
+
+    const rawAnswer = completion.text || "No answer.";
+    const finished = await finishTutorAnswer(turn, rawAnswer, completion.tool_calls || []);
+    await saveConversationTurn(turn, finished);
+    await recordTutorAnswer(turn, finished, completion);
+
+    res.json({
+      ok: true,
+      answer_id: turn.answerId,
+      answer: finished.answer,
+      sources: tutorSources(turn.hits),
+      citations: finished.citations,
+      unverified_citations: finished.unverified_citations,
+      grounding: finished.grounding,
+      calculations: finished.calculations,
+      conversation_id: conversation?.id || null,
+      rewritten_query: turn.rewrittenQuery,
+      search_queries: turn.searchQueries,
+      provider: completion.provider,
+      model: completion.model,
+      failover: completion.failover,
+    });
+  } catch (e) {
+    console.error(e);
+    if (res.headersSent) return res.end();
+    if (e?.status === 501) return jsonError(res, 501, "filter_unsupported", e.message);
+    return jsonError(res, 500, "AI backend error", String(e?.message || e));
+  }
+});
+
+// ---- conversation threads (per user) ----
+
+app.post("/api/conversations", async (req, res) => {
+  try {
+    const user = await resolveUser(req);
+    if (!user) return jsonError(res, 401, "unauthorized");
+
+    const { title, subject } = req.body || {};
+    const { data, error } = await supabase
+      .from("tutor_conversations")
+      .insert({
+        user_id: user.id,
+        title: title ? sanitizeText(title).slice(0, 120) : null,
+        subject: subject ? sanitizeText(subject).slice(0, 80) : null,
+      })
+      .select("id, title, subject, created_at, updated_at")
+      .single();
+    if (error) return jsonError(res, 500, "conversation_create_failed", error.message);
+
+    res.json({ ok: true, conversation: data });
+  } catch (e) {
+    console.error(e);
+    return jsonError(res, 500, "conversation_create_failed", String(e?.message || e));
+  }
+});
+
+app.get("/api/conversations", async (req, res) => {
+  try {
+    const user = await resolveUser(req);
+    if (!user) return jsonError(res, 401, "unauthorized");
+
+    const { data, error } = await supabase
+      .from("tutor_conversations")
+      .select("id, title, subject, created_at, updated_at")
+      .eq("user_id", user.id)
+      .order("updated_at", { ascending: false })
+      .limit(Math.min(Number(req.query.limit) || 50, 200));
+    if (error) return jsonError(res, 500, "conversation_list_failed", error.message);
+
+    res.json({ ok: true, conversations: data || [] });
+  } catch (e) {
+    console.error(e);
+    return jsonError(res, 500, "conversation_list_failed", String(e?.message || e));
+  }
+});
+
+app.get("/api/conversations/:id", async (req, res) => {
+  try {
+    const user = await resolveUser(req);
+    if (!user) return jsonError(res, 401, "unauthorized");
+
+    const conv = await getConversation(req.params.id, user.id);
+    if (!conv) return jsonError(res, 404, "conversation_not_found");
+
+    const { data: messages } = await supabase
+      .from("tutor_messages")
+      .select("id, role, content, sources, created_at")
+      .eq("conversation_id", conv.id)
+      .order("created_at");
+
+    const { user_id: _owner, ...conversation } = conv;
+    res.json({ ok: true, conversation, messages: messages || [] });
+  } catch (e) {
+    console.error(e);
+    return jsonError(res, 500, "conversation_get_failed", String(e?.message || e));
+  }
+});
+
+app.delete("/api/conversations/:id", async (req, res) => {
+  try {
+    const user = await resolveUser(req);
+    if (!user) return jsonError(res, 401, "unauthorized");
+
+    const conv = await getConversation(req.params.id, user.id);
+    if (!conv) return jsonError(res, 404, "conversation_not_found");
+
+    await supabase.from("tutor_messages").delete().eq("conversation_id", conv.id);
+    await supabase.from("tutor_conversations").delete().eq("id", conv.id);
+
+    res.json({ ok: true, deleted: conv.id });
+  } catch (e) {
+    console.error(e);
+    return jsonError(res, 500, "conversation_delete_failed", String(e?.message || e));
+  }
+});
+
+// ---- answer log & feedback ----
+// tutor_answers:         id, user_id, conversation_id, question, answer, subject, mode, sources,
+//                        provider, model, latency_ms, grounding_verdict, created_at
+// tutor_answer_feedback: answer_id (unique), user_id, rating, reasons, comment, created_at
+
+const FEEDBACK_RATINGS = ["up", "down"];
+const FEEDBACK_REASONS = ["wrong", "incomplete", "unclear", "bad_sources", "off_topic", "too_long", "other"];
+const ANALYTICS_DIMENSIONS = ["subject", "mode", "model", "document"];
+
+async function recordTutorAnswer(turn, finished, completion) {
+  const { error } = await supabase.from("tutor_answers").insert({
+    id: turn.answerId,
+    user_id: turn.userId,
+    conversation_id: turn.conversation?.id || null,
+    question: turn.userMsg,
+    answer: finished.answer,
+    subject: turn.subject,
+    mode: turn.mode,
+    sources: tutorSources(turn.hits),
+    provider: completion.provider || null,
+    model: completion.model || null,
+    latency_ms: Date.now() - Date.parse(turn.startedAt),
+    grounding_verdict: finished.grounding?.verdict || null,
+    created_at: turn.startedAt,
+  });
+  // like the conversation save: the student has the answer either way
+  if (error) console.error(`answer ${turn.answerId} log failed:`, error.message);
+}
+
+app.post("/api/answers/:answerId/feedback", async (req, res) => {
+  try {
+    const { rating, reasons, comment } = req.body || {};
+    if (!FEEDBACK_RATINGS.includes(rating)) {
+      return jsonError(res, 400, `rating must be one of: ${FEEDBACK_RATINGS.join(", ")}`);
+    }
+    const codes = reasons == null ? [] : reasons;
+    if (!Array.isArray(codes) || codes.some((r) => !FEEDBACK_REASONS.includes(r))) {
+      return jsonError(res, 400, `reasons must be a subset of: ${FEEDBACK_REASONS.join(", ")}`);
+    }
+
+    const { data: answer } = await supabase
+      .from("tutor_answers")
+      .select("id, user_id")
+      .eq("id", req.params.answerId)
+      .maybeSingle();
+    if (!answer) return jsonError(res, 404, "answer_not_found");
+
+    // answers given to a signed-in student only take feedback from that student
+    const user = await resolveUser(req);
+    if (answer.user_id && answer.user_id !== user?.id) return jsonError(res, 403, "forbidden");
+
+    // anonymous answers: the first rater's identity sticks, and a signed-in rater's feedback is theirs alone to change
+    const { data: existing, error: existingErr } = await supabase
+      .from("tutor_answer_feedback")
+      .select("user_id")
+      .eq("answer_id", answer.id)
+      .maybeSingle();
+    if (existingErr) return jsonError(res, 500, "feedback_save_failed", existingErr.message);
+    if (existing?.user_id && existing.user_id !== user?.id) return jsonError(res, 403, "forbidden");
+
+    const { error } = await supabase.from("tutor_answer_feedback").upsert(
+      {
+        answer_id: answer.id,
+        user_id: existing ? existing.user_id : user?.id || null,
+        rating,
+        reasons: [...new Set(codes)],
+        comment: comment ? sanitizeText(comment).slice(0, 1000) : null,
+        created_at: new Date().toISOString(),
+      },
+      { onConflict: "answer_id" }
+    );
+    if (error) return jsonError(res, 500, "feedback_save_failed", error.message);
+
+    res.json({ ok: true, answer_id: answer.id, rating });
+  } catch (e) {
+    console.error(e);
+    return jsonError(res, 500, "feedback_save_failed", String(e?.message || e));
+  }
+});
+
+function emptyAnalyticsBucket(key) {
+  return { key, answers: 0, rated: 0, up: 0, down: 0, down_rate: null, avg_latency_ms: null, reasons: {}, latencySum: 0 };
+}
+
+// ?from=&to= (ISO dates, default last 30 days), ?min_answers= hides small buckets
+app.get("/api/admin/tutor-analytics", requireAdmin, async (req, res) => {
+  try {
+    const to = req.query.to ? new Date(String(req.query.to)) : new Date();
+    const from = req.query.from ? new Date(String(req.query.from)) : new Date(to.getTime() - 30 * 86400000);
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) return jsonError(res, 400, "from/to must be dates");
+    const minAnswers = Math.max(Number(req.query.min_answers) || 1, 1);
+
+    const rows = [];
+    for (let offset = 0; offset < ANALYTICS_MAX_ANSWERS; offset += 1000) {
+      const { data, error } = await supabase
+        .from("tutor_answers")
+        .select("id, subject, mode, model, sources, latency_ms, tutor_answer_feedback(rating, reasons)")
+        .gte("created_at", from.toISOString())
+        .lte("created_at", to.toISOString())
+        .order("created_at")
+        .range(offset, offset + 999);
+      if (error) return jsonError(res, 500, "analytics_failed", error.message);
+      rows.push(...(data || []));
+      if ((data || []).length < 1000) break;
+    }
+
+    const groups = Object.fromEntries(ANALYTICS_DIMENSIONS.map((d) => [d, new Map()]));
+    const totals = emptyAnalyticsBucket("all");
+    const add = (bucket, row, fb) => {
+      bucket.answers++;
+      bucket.latencySum += row.latency_ms || 0;
+      if (!fb) return;
+      bucket.rated++;
+      bucket[fb.rating]++;
+      for (const r of fb.reasons || []) bucket.reasons[r] = (bucket.reasons[r] || 0) + 1;
+    };
+
+    for (const row of rows) {
+      // one-to-one relation; PostgREST returns it as an object or a one-element array
+      const fb = Array.isArray(row.tutor_answer_feedback) ? row.tutor_answer_feedback[0] : row.tutor_answer_feedback;
+      add(totals, row, fb);
+      const keys = {
+        subject: [row.subject || "(none)"],
+        mode: [row.mode || "(none)"],
+        model: [row.model || "(none)"],
+        // an answer counts once for every document it drew on
+        document: [...new Set((row.sources || []).map((s) => s.document_id))],
+      };
+      for (const d of ANALYTICS_DIMENSIONS) {
+        for (const key of keys[d]) {
+          if (!groups[d].has(key)) groups[d].set(key, emptyAnalyticsBucket(key));
+          add(groups[d].get(key), row, fb);
+        }
+      }
+    }
+
+    const finish = ({ latencySum, ...b }) => ({
+      ...b,
+      down_rate: b.rated ? Math.round((b.down / b.rated) * 1000) / 1000 : null,
+      avg_latency_ms: b.answers ? Math.round(latencySum / b.answers) : null,
+    });
+    // worst first: highest thumbs-down rate, then most answers
+    const ranked = (m) =>
+      [...m.values()]
+        .filter((b) => b.answers >= minAnswers)
+        .map(finish)
+        .sort((a, b) => (b.down_rate ?? -1) - (a.down_rate ?? -1) || b.answers - a.answers);
+
+    res.json({
+      ok: true,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      truncated: rows.length >= ANALYTICS_MAX_ANSWERS,
+      totals: finish(totals),
+      ...Object.fromEntries(ANALYTICS_DIMENSIONS.map((d) => [`by_${d}`, ranked(groups[d])])),
+    });
+  } catch (e) {
+    console.error(e);
+    return jsonError(res, 500, "analytics_failed", String(e?.message || e));
+  }
+});
+
+// ---- summarization ----
+// Map-reduce: long input is split into sections, each section is summarized into the
+// requested format, then the partial results are merged (recursively if still too long).
+
+const SUMMARY_FORMATS = {
+  bullets: {
+    instructions:
+      "Summarize into crisp bullet points for CMA exam prep (3-5 for a short text, up to 12 for a chapter).",
+    schema: '{"bullets":[{"text":"...","pages":[<page numbers>]}]}',
+    listKey: "bullets",
+  },
+  formulas: {
+    instructions:
+      "Extract a key formulas sheet: every formula or ratio a CMA candidate must know from this material, with its variables and when to use it.",
+    schema:
+      '{"formulas":[{"name":"...","formula":"...","variables":[{"symbol":"...","meaning":"..."}],"when_to_use":"...","pages":[<page numbers>]}]}',
+    listKey: "formulas",
+  },
+  glossary: {
+    instructions: "Build a definitions glossary of the exam-relevant terms in this material, one precise definition each.",
+    schema: '{"terms":[{"term":"...","definition":"...","pages":[<page numbers>]}]}',
+    listKey: "terms",
+  },
+  cornell: {
+    instructions:
+      "Write Cornell-style notes: cue questions in the left column, concise notes answering each, and a short summary at the bottom.",
+    schema: '{"cues":[{"question":"...","notes":"...","pages":[<page numbers>]}],"summary":"..."}',
+    listKey: "cues",
+  },
+};
+
+// Library pages in order, stitched per page (overlap removed); excluded chunks skipped.
+// Read 1000 rows at a time so long documents aren't cut off at PostgREST's row cap.
+async function loadDocumentPages(documentId, { fromPage = null, toPage = null } = {}) {
+  const rows = [];
+  for (let from = 0; ; from += 1000) {
+    let q = supabase
+      .from(DOCUMENTS_TABLE)
+      .select("page_number, chunk_index, content, excluded")
+      .eq("document_id", documentId)
+      .order("page_number")
+      .order("chunk_index")
+      .range(from, from + 999);
+    if (fromPage != null) q = q.gte("page_number", fromPage);
+    if (toPage != null) q = q.lte("page_number", toPage);
+    const { data, error } = await q;
+    if (error) throw error;
+    rows.push(...(data || []));
+    if ((data || []).length < 1000) break;
+  }
+
+  const pages = new Map();
+  let prev = "";
+  for (const row of rows) {
+    if (row.excluded || isNoisyChunk(row.content)) continue;
+    const content = sanitizeText(row.content);
+    const piece = pages.has(row.page_number) ? trimOverlap(prev, content) : content;
+    pages.set(row.page_number, `${pages.get(row.page_number) || ""} ${piece}`.trim());
+    prev = content;
+  }
+  return [...pages].map(([page_number, text]) => ({ page_number, text }));
+}
+
+// Group pages (or raw text) into sections under the token budget. Page markers let the
+// model attribute each item to the pages it came from.
+function buildSummarySections(pages, model) {
+  const sections = [];
+  let cur = { text: "", tokens: 0, pages: [] };
+  for (const p of pages) {
+    const piece = p.page_number != null ? `[page ${p.page_number}]\n${p.text}\n\n` : `${p.text}\n\n`;
+    const tokens = countTokens(piece, model);
+    if (cur.tokens && cur.tokens + tokens > SUMMARY_SECTION_TOKENS) {
+      sections.push(cur);
+      cur = { text: "", tokens: 0, pages: [] };
+    }
+    cur.text += piece;
+    cur.tokens += tokens;
+    if (p.page_number != null) cur.pages.push(p.page_number);
+  }
+  if (cur.text) sections.push(cur);
+  return sections;
+}
+
+async function summarizeSection(format, text, { merge = false, withPages }) {
+  const spec = SUMMARY_FORMATS[format];
+  const completion = await llmChat("summarize", {
+    messages: [
+      {
+        role: "system",
+        content: [
+          merge
+            ? "Merge these partial study notes from consecutive sections into one set. Remove duplicates, keep the most exam-relevant items, keep the original order of topics."
+            : spec.instructions,
+          withPages
+            ? "Each item's `pages` lists the [page N] markers its content came from."
+            : "There are no page numbers; use an empty `pages` array.",
+          `Return ONLY JSON: ${spec.schema}`,
+        ].join("\n"),
+      },
+      { role: "user", content: text },
+    ],
+    temperature: 0.2,
+    json: true,
+  });
+  return { result: parseLlmJson(completion.text), provider: completion.provider, model: completion.model };
+}
+
+// Keep only page numbers that were actually in the input
+function cleanSummaryPages(result, format, validPages) {
+  const key = SUMMARY_FORMATS[format].listKey;
+  const items = Array.isArray(result?.[key]) ? result[key] : [];
+  return {
+    ...result,
+    [key]: items.map((item) => ({
+      ...item,
+      pages: [...new Set((item.pages || []).map(Number))].filter((p) => validPages.has(p)).sort((a, b) => a - b),
+    })),
+  };
+}
+
+function renderSummary(format, result) {
+  const pagesNote = (item) => (item.pages?.length ? ` (p. ${item.pages.join(", ")})` : "");
+  switch (format) {
+    case "formulas":
+      return (result.formulas || [])
+        .map((f) => `- ${f.name}: ${f.formula}${f.when_to_use ? ` — ${f.when_to_use}` : ""}${pagesNote(f)}`)
+        .join("\n");
+    case "glossary":
+      return (result.terms || []).map((t) => `- ${t.term}: ${t.definition}${pagesNote(t)}`).join("\n");
+    case "cornell":
+      return [
+        ...(result.cues || []).map((c) => `Q: ${c.question}${pagesNote(c)}\n${c.notes}`),
+        result.summary ? `Summary: ${result.summary}` : "",
+      ]
+        .filter(Boolean)
+        .join("\n\n");
+    default:
+      return (result.bullets || []).map((b) => `- ${b.text}${pagesNote(b)}`).join("\n");
+  }
+}
+
+// Past SUMMARY_MAX_SECTIONS the rest of the input is left out; the result says so (truncated)
+// and lists only the pages that were actually summarized
+async function mapReduceSummary(format, pages, model) {
+  const withPages = pages.some((p) => p.page_number != null);
+  const allSections = buildSummarySections(pages, model);
+  const sections = allSections.slice(0, SUMMARY_MAX_SECTIONS);
+
+  let partials = [];
+  let answeredBy = null;
+  for (let i = 0; i < sections.length; i += 4) {
+    const batch = await Promise.all(
+      sections.slice(i, i + 4).map((s) => summarizeSection(format, s.text, { withPages }))
+    );
+    partials.push(...batch.map((b) => b.result));
+    answeredBy = batch[batch.length - 1];
+  }
+
+  // reduce until one result is left, merging as many partials per call as fit the budget
+  while (partials.length > 1) {
+    const groups = [];
+    let cur = [];
+    let tokens = 0;
+    for (const p of partials) {
+      const t = countTokens(JSON.stringify(p), model);
+      if (cur.length && tokens + t > SUMMARY_SECTION_TOKENS) {
+        groups.push(cur);
+        cur = [];
+        tokens = 0;
+      }
+      cur.push(p);
+      tokens += t;
+    }
+    groups.push(cur);
+    // every group is a single partial: nothing left to merge within budget, force one merge
+    const merging = groups.length === partials.length ? [partials] : groups;
+
+    const merged = await Promise.all(
+      merging.map((g) =>
+        g.length === 1
+          ? { result: g[0] }
+          : summarizeSection(format, g.map((p, i) => `PART ${i + 1}:\n${JSON.stringify(p)}`).join("\n\n"), {
+              merge: true,
+              withPages,
+            })
+      )
+    );
+    partials = merged.map((m) => m.result);
+    answeredBy = merged.find((m) => m.provider) || answeredBy;
+  }
+
+  return {
+    result: partials[0] || {},
+    sections: sections.length,
+    truncated: allSections.length > sections.length,
+    pages_covered: sections.flatMap((s) => s.pages),
+    provider: answeredBy?.provider || null,
+    model: answeredBy?.model || null,
+  };
+}
+
+// Body: { text } or { document_id, pages?: { from, to } }, plus format (bullets|formulas|glossary|cornell)
+app.post("/api/summarize", async (req, res) => {
+  try {
+    const { text, document_id, pages: pageRange, format = "bullets" } = req.body || {};
+    if (!SUMMARY_FORMATS[format]) {
+      return jsonError(res, 400, `format must be one of: ${Object.keys(SUMMARY_FORMATS).join(", ")}`);
+    }
+
+    let pages;
+    if (typeof document_id === "string" && document_id) {
+      pages = await loadDocumentPages(document_id, {
+        fromPage: Number.isInteger(pageRange?.from) ? pageRange.from : null,
+        toPage: Number.isInteger(pageRange?.to) ? pageRange.to : null,
+      });
+      if (pages.length === 0) return jsonError(res, 404, "document_not_found");
+    } else if (text && typeof text === "string") {
+      pages = chunkText(text, SUMMARY_TEXT_SECTION_CHARS, 0).map((t) => ({ page_number: null, text: t }));
+    } else {
+      return jsonError(res, 400, "text or document_id required");
+    }
+
+    const model = llmTargets("summarize")[0]?.model;
+    const out = await mapReduceSummary(format, pages, model);
+    const validPages = new Set(out.pages_covered);
+    const result = cleanSummaryPages(out.result, format, validPages);
+
+    res.json({
+      ok: true,
+      format,
+      summary: renderSummary(format, result),
+      result,
+      document_id: document_id || null,
+      pages_covered: [...validPages],
+      sections: out.sections,
+      truncated: out.truncated,
+      last_page_covered: validPages.size ? Math.max(...validPages) : null,
+      provider: out.provider,
+      model: out.model,
+    });
+  } catch (e) {
+    console.error(e);
+    return jsonError(res, 500, "summarize error", String(e?.message || e));
+  }
+});
+
+// ---- flashcards ----
+
+const FLASHCARD_TYPES = ["term", "formula"];
+const FLASHCARD_EXPORTS = ["json", "csv", "anki"];
+
+// Retrieve source chunks for a topic and/or a document page range
+async function flashcardSources({ topic, documentId, fromPage, toPage }) {
+  const query = topic || "key terms, definitions and formulas";
+  const hits = await retrieveContext({
+    queryEmbedding: await embedOne(query),
+    queryText: query,
+    topK: FLASHCARD_SOURCE_CHUNKS,
+    // browsing a document by page range wants everything, not just close matches
+    threshold: topic ? DEFAULT_MATCH_THRESHOLD : 0,
+    filters: documentId
+      ? {
+          document_ids: [documentId],
+          ...(fromPage != null ? { page_from: fromPage } : {}),
+          ...(toPage != null ? { page_to: toPage } : {}),
+        }
+      : null,
+  });
+  return hits;
+}
+
+function cardWords(text) {
+  return new Set(`${text || ""}`.toLowerCase().match(/[a-z0-9]+/g) || []);
+}
+
+// Near-duplicate cards: mostly the same words on the front AND the back. Same front with a
+// different answer (e.g. a term defined two ways) is kept.
+function dedupeCards(cards) {
+  const kept = [];
+  for (const card of cards) {
+    const front = cardWords(card.front);
+    const back = cardWords(card.back);
+    const dup = kept.some(
+      (k) => jaccard(front, k.front) >= FLASHCARD_DUPLICATE_JACCARD && jaccard(back, k.back) >= FLASHCARD_DUPLICATE_JACCARD
+    );
+    if (!dup) kept.push({ card, front, back });
+  }
+  return kept.map((k) => k.card);
+}
+
+async function generateFlashcards({ hits, topic, count, types }) {
+  const packed = await packContext(hits, {
+    model: llmTargets("flashcards")[0]?.model,
+    maxTokens: FLASHCARD_CONTEXT_TOKENS,
+    neighbors: 0,
+  });
+
+  const completion = await llmChat("flashcards", {
+    messages: [
+      {
+        role: "system",
+        content: [
+          `Write up to ${count} CMA exam flashcards from the library excerpts only.`,
+          types.includes("term") ? 'type "term": front = term, back = precise definition.' : "",
+          types.includes("formula")
+            ? 'type "formula": front = formula name, back = the formula with its variables, application = when/how it is used on the exam.'
+            : "",
+          "Every card must cite the excerpt it came from as source: \"doc | page | chunk\", copied from its SOURCE line.",
+          'Return ONLY JSON: {"cards":[{"type":"term|formula","front":"...","back":"...","application":"...","source":"doc | page | chunk"}]}',
+        ]
+          .filter(Boolean)
+          .join("\n"),
+      },
+      {
+        role: "user",
+        content: `${topic ? `TOPIC: ${topic}\n\n` : ""}LIBRARY EXCERPTS:\n${packed.block}`,
+      },
+    ],
+    temperature: 0.3,
+    json: true,
+  });
+
+  const byKey = new Map(packed.hits.map((h) => [hitKey(h).toLowerCase(), h]));
+  const cards = (parseLlmJson(completion.text).cards || [])
+    .filter((c) => types.includes(c.type) && c.front && c.back)
+    .map((c) => {
+      const [cite] = verifyCitations(`[${c.source}]`, packed.hits);
+      const hit = cite?.verified ? byKey.get(hitKey(cite).toLowerCase()) : null;
+      return {
+        type: c.type,
+        front: sanitizeText(c.front).slice(0, 300),
+        back: sanitizeText(c.back).slice(0, 1000),
+        application: c.application ? sanitizeText(c.application).slice(0, 500) : null,
+        source: hit ? { document_id: hit.document_id, page_number: hit.page_number, chunk_index: hit.chunk_index } : null,
+      };
+    })
+    // a card we can't trace back to the library isn't shipped
+    .filter((c) => c.source);
+
+  return {
+    cards: dedupeCards(cards).slice(0, count),
+    provider: completion.provider,
+    model: completion.model,
+  };
+}
+
+// Spreadsheets run text starting with = + - @ (or a tab/CR) as a formula; a leading ' keeps it text.
+// CSV only: Anki's importer doesn't evaluate formulas and would show the quote.
+function noFormula(s) {
+  return /^[=+\-@\t\r]/.test(s) ? `'${s}` : s;
+}
+
+function csvCell(v) {
+  const s = v == null ? "" : typeof v === "string" ? noFormula(v) : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function flashcardsToCsv(cards) {
+  const header = ["type", "front", "back", "application", "document_id", "page_number", "chunk_index"];
+  const rows = cards.map((c) =>
+    [c.type, c.front, c.back, c.application, c.source.document_id, c.source.page_number, c.source.chunk_index]
+      .map(csvCell)
+      .join(",")
+  );
+  return [header.join(","), ...rows].join("\r\n");
+}
+
+function escapeHtml(s) {
+  return String(s || "").replace(/[&<>"]/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[ch]);
+}
+
+// Anki "Import File" text format: tab-separated Front / Back / Source, tags in the last column
+function flashcardsToAnki(cards, topic) {
+  const topicTag = topic ? `topic::${topic.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "")}` : "";
+  const field = (s) => escapeHtml(s).replace(/\t/g, " ").replace(/\r?\n/g, "<br>");
+  const lines = cards.map((c) =>
+    [
+      field(c.front),
+      field(c.application ? `${c.back}\n\n${c.application}` : c.back),
+      field(`${c.source.document_id} | p.${c.source.page_number} | chunk ${c.source.chunk_index}`),
+      ["costudy", `cma_${c.type}`, topicTag].filter(Boolean).join(" "),
+    ].join("\t")
+  );
+  return ["#separator:tab", "#html:true", "#columns:Front\tBack\tSource\tTags", "#tags column:4", ...lines].join("\n");
+}
+
+// Body: { topic?, document_id?, pages?: { from, to }, count?, types?, format?: json|csv|anki }
+app.post("/api/flashcards", async (req, res) => {
+  try {
+    const { topic, document_id, pages: pageRange, count, types, format = "json" } = req.body || {};
+
+    const cleanTopic = typeof topic === "string" ? sanitizeText(topic).slice(0, 200) : "";
+    const documentId = typeof document_id === "string" && document_id ? document_id : null;
+    if (!cleanTopic && !documentId) return jsonError(res, 400, "topic or document_id required");
+    if (!FLASHCARD_EXPORTS.includes(format)) {
+      return jsonError(res, 400, `format must be one of: ${FLASHCARD_EXPORTS.join(", ")}`);
+    }
+
+    const cardTypes = Array.isArray(types) && types.length ? types : FLASHCARD_TYPES;
+    if (cardTypes.some((t) => !FLASHCARD_TYPES.includes(t))) {
+      return jsonError(res, 400, `types must be a subset of: ${FLASHCARD_TYPES.join(", ")}`);
+    }
+    const n = Math.min(Math.max(Number(count) || 20, 1), FLASHCARD_MAX_COUNT);
+
+    const hits = await flashcardSources({
+      topic: cleanTopic,
+      documentId,
+      fromPage: Number.isInteger(pageRange?.from) ? pageRange.from : null,
+      toPage: Number.isInteger(pageRange?.to) ? pageRange.to : null,
+    });
+    if (hits.length === 0) return jsonError(res, 404, "no_library_sources");
+
+    const out = await generateFlashcards({ hits, topic: cleanTopic, count: n, types: cardTypes });
+    const filename = `flashcards-${(cleanTopic || documentId).toLowerCase().replace(/[^a-z0-9]+/g, "-").slice(0, 40)}`;
+
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}.csv"`);
+      return res.send(flashcardsToCsv(out.cards));
+    }
+    if (format === "anki") {
+      res.setHeader("Content-Type", "text/plain; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}.txt"`);
+      return res.send(flashcardsToAnki(out.cards, cleanTopic));
+    }
+
+    res.json({
+      ok: true,
+      topic: cleanTopic || null,
+      document_id: documentId,
+      count: out.cards.length,
+      cards: out.cards,
+      provider: out.provider,
+      model: out.model,
+    });
+  } catch (e) {
+    console.error(e);
+    if (e?.status === 501) return jsonError(res, 501, "filter_unsupported", e.message);
+    return jsonError(res, 500, "flashcards_failed", String(e?.message || e));
+  }
+});
+
+// ---- finance calculators ----
+// Deterministic CMA arithmetic, exposed to the tutor as tools and over REST. Every calculator
+// returns { result, steps }; steps are the worked lines the tutor is told to show.
+// Rates are decimals (0.08 = 8%); cash_flows[0] is the time-0 amount.
+
+function calcInputError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function calcNum(args, key, { min = -Infinity, fallback } = {}) {
+  const raw = args?.[key];
+  if (raw == null || raw === "") {
+    if (fallback !== undefined) return fallback;
+    throw calcInputError(`${key} is required`);
+  }
+  const n = Number(raw);
+  if (!Number.isFinite(n)) throw calcInputError(`${key} must be a number`);
+  if (n < min) throw calcInputError(`${key} must be >= ${min}`);
+  return n;
+}
+
+function calcFlows(args, minLength = 2) {
+  const flows = args?.cash_flows;
+  if (!Array.isArray(flows) || flows.length < minLength || flows.some((v) => !Number.isFinite(Number(v)))) {
+    throw calcInputError(`cash_flows must be an array of at least ${minLength} numbers`);
+  }
+  return flows.map(Number);
+}
+
+const fmtNum = (n, digits = 2) => (Number(n) || 0).toLocaleString("en-US", { maximumFractionDigits: digits });
+const fmtPct = (r) => `${fmtNum(r * 100, 4)}%`;
+const round6 = (n) => Math.round(n * 1e6) / 1e6;
+
+function npvAt(rate, flows) {
+  return flows.reduce((s, cf, t) => s + cf / (1 + rate) ** t, 0);
+}
+
+const rateSchema = { type: "number", description: "Rate per period as a decimal (0.08 = 8%)" };
+const flowsSchema = {
+  type: "array",
+  items: { type: "number" },
+  description: "Cash flows per period; index 0 is time 0 (usually the negative investment)",
+};
+
+const FINANCE_TOOLS = {
+  time_value: {
+    description: "Present value, future value or level payment of a lump sum and/or annuity.",
+    parameters: {
+      type: "object",
+      properties: {
+        solve_for: { type: "string", enum: ["pv", "fv", "pmt"] },
+        rate: rateSchema,
+        periods: { type: "number" },
+        pv: { type: "number", description: "Present lump sum (for fv/pmt)" },
+        fv: { type: "number", description: "Future lump sum (for pv/pmt)" },
+        pmt: { type: "number", description: "Level payment per period (for pv/fv)" },
+        annuity_due: { type: "boolean", description: "Payments at the start of each period" },
+      },
+      required: ["solve_for", "rate", "periods"],
+    },
+    run(args) {
+      const rate = calcNum(args, "rate", { min: -0.99 });
+      const n = calcNum(args, "periods", { min: 0 });
+      const pv = calcNum(args, "pv", { fallback: 0 });
+      const fv = calcNum(args, "fv", { fallback: 0 });
+      const pmt = calcNum(args, "pmt", { fallback: 0 });
+      const due = args.annuity_due === true ? 1 + rate : 1;
+      const growth = (1 + rate) ** n;
+      // annuity factors; rate 0 degenerates to n
+      const fvaf = (rate ? (growth - 1) / rate : n) * due;
+      const pvaf = (rate ? (1 - 1 / growth) / rate : n) * due;
+      const timing = args.annuity_due === true ? " (annuity due, x(1+r))" : "";
+      const steps = [`(1 + ${fmtPct(rate)})^${n} = ${fmtNum(growth, 6)}`];
+
+      if (args.solve_for === "fv") {
+        const result = pv * growth + pmt * fvaf;
+        steps.push(`FV annuity factor${timing} = ${fmtNum(fvaf, 6)}`);
+        steps.push(`FV = ${fmtNum(pv)} x ${fmtNum(growth, 6)} + ${fmtNum(pmt)} x ${fmtNum(fvaf, 6)} = ${fmtNum(result)}`);
+        return { result: { fv: round6(result) }, steps };
+      }
+      if (args.solve_for === "pv") {
+        const result = fv / growth + pmt * pvaf;
+        steps.push(`PV annuity factor${timing} = ${fmtNum(pvaf, 6)}`);
+        steps.push(`PV = ${fmtNum(fv)} / ${fmtNum(growth, 6)} + ${fmtNum(pmt)} x ${fmtNum(pvaf, 6)} = ${fmtNum(result)}`);
+        return { result: { pv: round6(result) }, steps };
+      }
+      if (args.solve_for === "pmt") {
+        if (!pvaf) throw calcInputError("periods must be > 0 to solve for pmt");
+        const result = (pv - fv / growth) / pvaf;
+        steps.push(`PV annuity factor${timing} = ${fmtNum(pvaf, 6)}`);
+        steps.push(`PMT = (${fmtNum(pv)} - ${fmtNum(fv)} / ${fmtNum(growth, 6)}) / ${fmtNum(pvaf, 6)} = ${fmtNum(result)}`);
+        return { result: { pmt: round6(result) }, steps };
+      }
+      throw calcInputError("solve_for must be one of: pv, fv, pmt");
+    },
+  },
+
+  npv: {
+    description: "Net present value of a series of cash flows at a discount rate.",
+    parameters: {
+      type: "object",
+      properties: { rate: rateSchema, cash_flows: flowsSchema },
+      required: ["rate", "cash_flows"],
+    },
+    run(args) {
+      const rate = calcNum(args, "rate", { min: -0.99 });
+      const flows = calcFlows(args, 1);
+      const steps = flows.map((cf, t) => {
+        const pv = cf / (1 + rate) ** t;
+        return t === 0
+          ? `t=0: ${fmtNum(cf)} (not discounted)`
+          : `t=${t}: ${fmtNum(cf)} / (1 + ${fmtPct(rate)})^${t} = ${fmtNum(pv)}`;
+      });
+      const npv = npvAt(rate, flows);
+      steps.push(`NPV = sum of the above = ${fmtNum(npv)}`);
+      return { result: { npv: round6(npv), accept: npv >= 0 }, steps };
+    },
+  },
+
+  irr: {
+    description: "Internal rate of return of a series of cash flows (needs at least one sign change).",
+    parameters: { type: "object", properties: { cash_flows: flowsSchema }, required: ["cash_flows"] },
+    run(args) {
+      const flows = calcFlows(args);
+      let lo = -0.99;
+      let hi = 10;
+      if (Math.sign(npvAt(lo, flows)) === Math.sign(npvAt(hi, flows))) {
+        throw calcInputError("cash_flows have no IRR between -99% and 1000% (need a sign change)");
+      }
+      // bisection: slower than Newton but can't diverge on odd cash flow patterns
+      for (let i = 0; i < 200 && hi - lo > 1e-10; i++) {
+        const mid = (lo + hi) / 2;
+        if (Math.sign(npvAt(mid, flows)) === Math.sign(npvAt(lo, flows))) lo = mid;
+        else hi = mid;
+      }
+      const irr = (lo + hi) / 2;
+      const below = Math.max(irr - 0.01, -0.99);
+      const steps = [
+        `NPV at ${fmtPct(below)} = ${fmtNum(npvAt(below, flows))}`,
+        `NPV at ${fmtPct(irr + 0.01)} = ${fmtNum(npvAt(irr + 0.01, flows))}`,
+        `IRR is the rate where NPV = 0: ${fmtPct(irr)} (NPV check: ${fmtNum(npvAt(irr, flows), 4)})`,
+      ];
+      return { result: { irr: round6(irr) }, steps };
+    },
+  },
+
+  payback: {
+    description: "Payback period, plus discounted payback when a rate is given.",
+    parameters: {
+      type: "object",
+      properties: { cash_flows: flowsSchema, rate: { ...rateSchema, description: "Optional, for discounted payback" } },
+      required: ["cash_flows"],
+    },
+    run(args) {
+      const flows = calcFlows(args);
+      const rate = calcNum(args, "rate", { min: -0.99, fallback: null });
+      if (flows[0] >= 0) throw calcInputError("cash_flows[0] must be the (negative) initial investment");
+
+      const steps = [];
+      const payback = (series, label) => {
+        let cum = series[0];
+        steps.push(`${label} t=0: cumulative ${fmtNum(cum)}`);
+        for (let t = 1; t < series.length; t++) {
+          const prev = cum;
+          cum += series[t];
+          steps.push(`${label} t=${t}: ${fmtNum(prev)} + ${fmtNum(series[t])} = ${fmtNum(cum)}`);
+          if (cum >= 0) {
+            const years = t - 1 + -prev / series[t];
+            steps.push(`${label} = ${t - 1} + ${fmtNum(-prev)} / ${fmtNum(series[t])} = ${fmtNum(years, 4)} periods`);
+            return round6(years);
+          }
+        }
+        steps.push(`${label}: investment not recovered within the cash flows given`);
+        return null;
+      };
+
+      const result = { payback_periods: payback(flows, "Payback") };
+      if (rate != null) {
+        result.discounted_payback_periods = payback(
+          flows.map((cf, t) => cf / (1 + rate) ** t),
+          "Discounted payback"
+        );
+      }
+      return { result, steps };
+    },
+  },
+
+  eoq: {
+    description: "Economic order quantity and the resulting annual ordering and carrying costs.",
+    parameters: {
+      type: "object",
+      properties: {
+        annual_demand: { type: "number" },
+        order_cost: { type: "number", description: "Cost per order" },
+        holding_cost: { type: "number", description: "Annual carrying cost per unit" },
+      },
+      required: ["annual_demand", "order_cost", "holding_cost"],
+    },
+    run(args) {
+      const d = calcNum(args, "annual_demand", { min: 0 });
+      const s = calcNum(args, "order_cost", { min: 0 });
+      const h = calcNum(args, "holding_cost", { min: 0 });
+      if (!h) throw calcInputError("holding_cost must be > 0");
+      const q = Math.sqrt((2 * d * s) / h);
+      const orders = q ? d / q : 0;
+      const steps = [
+        `EOQ = sqrt(2 x ${fmtNum(d)} x ${fmtNum(s)} / ${fmtNum(h)}) = ${fmtNum(q)} units`,
+        `Orders per year = ${fmtNum(d)} / ${fmtNum(q)} = ${fmtNum(orders)}`,
+        `Ordering cost = ${fmtNum(orders)} x ${fmtNum(s)} = ${fmtNum(orders * s)}`,
+        `Carrying cost = ${fmtNum(q)} / 2 x ${fmtNum(h)} = ${fmtNum((q / 2) * h)}`,
+      ];
+      return {
+        result: { eoq: round6(q), orders_per_year: round6(orders), total_cost: round6(orders * s + (q / 2) * h) },
+        steps,
+      };
+    },
+  },
+
+  breakeven: {
+    description: "CVP analysis: contribution margin, breakeven or target-profit units and sales, margin of safety.",
+    parameters: {
+      type: "object",
+      properties: {
+        fixed_costs: { type: "number" },
+        price: { type: "number", description: "Selling price per unit" },
+        variable_cost: { type: "number", description: "Variable cost per unit" },
+        target_profit: { type: "number", description: "After-tax if tax_rate is given, otherwise pre-tax" },
+        tax_rate: { type: "number" },
+        expected_units: { type: "number", description: "Budgeted sales units, for margin of safety" },
+      },
+      required: ["fixed_costs", "price", "variable_cost"],
+    },
+    run(args) {
+      const f = calcNum(args, "fixed_costs", { min: 0 });
+      const p = calcNum(args, "price", { min: 0 });
+      const v = calcNum(args, "variable_cost", { min: 0 });
+      const target = calcNum(args, "target_profit", { fallback: 0 });
+      const tax = calcNum(args, "tax_rate", { min: 0, fallback: 0 });
+      const expected = calcNum(args, "expected_units", { min: 0, fallback: null });
+      const cm = p - v;
+      if (cm <= 0) throw calcInputError("price must be greater than variable_cost");
+      if (tax >= 1) throw calcInputError("tax_rate must be below 1");
+
+      const pretax = target / (1 - tax);
+      const units = (f + pretax) / cm;
+      const steps = [
+        `Contribution margin = ${fmtNum(p)} - ${fmtNum(v)} = ${fmtNum(cm)} per unit (CM ratio ${fmtPct(cm / p)})`,
+      ];
+      if (tax && target) steps.push(`Pre-tax target = ${fmtNum(target)} / (1 - ${fmtPct(tax)}) = ${fmtNum(pretax)}`);
+      steps.push(`Units = (${fmtNum(f)} + ${fmtNum(pretax)}) / ${fmtNum(cm)} = ${fmtNum(units)}`);
+      steps.push(`Sales = ${fmtNum(units)} x ${fmtNum(p)} = ${fmtNum(units * p)}`);
+
+      const result = {
+        contribution_margin: round6(cm),
+        cm_ratio: round6(cm / p),
+        units: round6(units),
+        sales: round6(units * p),
+      };
+      if (expected != null) {
+        result.margin_of_safety_units = round6(expected - units);
+        result.margin_of_safety_ratio = expected ? round6((expected - units) / expected) : null;
+        steps.push(`Margin of safety = ${fmtNum(expected)} - ${fmtNum(units)} = ${fmtNum(expected - units)} units`);
+      }
+      return { result, steps };
+    },
+  },
+
+  cost_variances: {
+    description: "Standard-cost price/rate and quantity/efficiency variances for direct materials or labor.",
+    parameters: {
+      type: "object",
+      properties: {
+        input: { type: "string", enum: ["materials", "labor"] },
+        standard_price: { type: "number", description: "Standard price per unit of input (per hour for labor)" },
+        standard_quantity_per_unit: { type: "number", description: "Standard input allowed per unit of output" },
+        actual_price: { type: "number" },
+        actual_quantity: { type: "number", description: "Actual input used" },
+        actual_output: { type: "number", description: "Units of output produced" },
+      },
+      required: ["standard_price", "standard_quantity_per_unit", "actual_price", "actual_quantity", "actual_output"],
+    },
+    run(args) {
+      const sp = calcNum(args, "standard_price", { min: 0 });
+      const sqPer = calcNum(args, "standard_quantity_per_unit", { min: 0 });
+      const ap = calcNum(args, "actual_price", { min: 0 });
+      const aq = calcNum(args, "actual_quantity", { min: 0 });
+      const output = calcNum(args, "actual_output", { min: 0 });
+      const labor = args.input === "labor";
+      const [priceName, qtyName] = labor ? ["rate", "efficiency"] : ["price", "quantity"];
+      const sq = sqPer * output;
+      const priceVar = (ap - sp) * aq;
+      const qtyVar = (aq - sq) * sp;
+      const fu = (x) => (x > 0 ? "U" : x < 0 ? "F" : "");
+
+      const steps = [
+        `Standard quantity allowed = ${fmtNum(sqPer)} x ${fmtNum(output)} = ${fmtNum(sq)}`,
+        `${priceName} variance = (${fmtNum(ap)} - ${fmtNum(sp)}) x ${fmtNum(aq)} = ${fmtNum(Math.abs(priceVar))} ${fu(priceVar)}`,
+        `${qtyName} variance = (${fmtNum(aq)} - ${fmtNum(sq)}) x ${fmtNum(sp)} = ${fmtNum(Math.abs(qtyVar))} ${fu(qtyVar)}`,
+        `Total variance = ${fmtNum(Math.abs(priceVar + qtyVar))} ${fu(priceVar + qtyVar)}`,
+      ];
+      // positive = unfavorable (actual cost above standard)
+      return {
+        result: {
+          [`${priceName}_variance`]: round6(priceVar),
+          [`${qtyName}_variance`]: round6(qtyVar),
+          total_variance: round6(priceVar + qtyVar),
+          standard_quantity_allowed: round6(sq),
+          sign: "positive = unfavorable",
+        },
+        steps,
+      };
+    },
+  },
+
+  ratios: {
+    description: "Financial ratios from statement figures; computes every ratio whose inputs are given.",
+    parameters: {
+      type: "object",
+      properties: Object.fromEntries(
+        [
+          "current_assets", "current_liabilities", "cash", "marketable_securities", "accounts_receivable",
+          "inventory", "total_assets", "total_liabilities", "total_equity", "revenue", "cogs", "net_income",
+          "ebit", "interest_expense",
+        ].map((k) => [k, { type: "number" }])
+      ),
+    },
+    run(args) {
+      const x = {};
+      for (const k of Object.keys(FINANCE_TOOLS.ratios.parameters.properties)) if (args?.[k] != null) x[k] = calcNum(args, k);
+      // [name, formula, inputs that must be present, calc]; cash and securities count as 0 when absent
+      const defs = [
+        ["current_ratio", "current_assets / current_liabilities", ["current_assets", "current_liabilities"], () => x.current_assets / x.current_liabilities],
+        ["quick_ratio", "(cash + marketable_securities + accounts_receivable) / current_liabilities", ["accounts_receivable", "current_liabilities"], () => ((x.cash || 0) + (x.marketable_securities || 0) + x.accounts_receivable) / x.current_liabilities],
+        ["debt_to_equity", "total_liabilities / total_equity", ["total_liabilities", "total_equity"], () => x.total_liabilities / x.total_equity],
+        ["debt_ratio", "total_liabilities / total_assets", ["total_liabilities", "total_assets"], () => x.total_liabilities / x.total_assets],
+        ["gross_margin", "(revenue - cogs) / revenue", ["revenue", "cogs"], () => (x.revenue - x.cogs) / x.revenue],
+        ["net_margin", "net_income / revenue", ["net_income", "revenue"], () => x.net_income / x.revenue],
+        ["return_on_assets", "net_income / total_assets", ["net_income", "total_assets"], () => x.net_income / x.total_assets],
+        ["return_on_equity", "net_income / total_equity", ["net_income", "total_equity"], () => x.net_income / x.total_equity],
+        ["asset_turnover", "revenue / total_assets", ["revenue", "total_assets"], () => x.revenue / x.total_assets],
+        ["inventory_turnover", "cogs / inventory", ["cogs", "inventory"], () => x.cogs / x.inventory],
+        ["days_inventory", "365 x inventory / cogs", ["inventory", "cogs"], () => (365 * x.inventory) / x.cogs],
+        ["receivables_turnover", "revenue / accounts_receivable", ["revenue", "accounts_receivable"], () => x.revenue / x.accounts_receivable],
+        ["days_sales_outstanding", "365 x accounts_receivable / revenue", ["accounts_receivable", "revenue"], () => (365 * x.accounts_receivable) / x.revenue],
+        ["times_interest_earned", "ebit / interest_expense", ["ebit", "interest_expense"], () => x.ebit / x.interest_expense],
+      ];
+
+      const result = {};
+      const steps = [];
+      for (const [name, formula, needs, calc] of defs) {
+        if (needs.some((k) => x[k] == null)) continue;
+        const value = calc();
+        if (!Number.isFinite(value)) continue; // zero denominator
+        result[name] = round6(value);
+        const filled = formula.replace(/[a-z_]+/g, (k) => (k in x ? fmtNum(x[k]) : k === "x" ? k : "0"));
+        steps.push(`${name} = ${formula} = ${filled} = ${fmtNum(value, 4)}`);
+      }
+      if (steps.length === 0) throw calcInputError("not enough inputs to compute any ratio");
+      return { result, steps };
+    },
+  },
+
+  costing_income: {
+    description: "Operating income under variable and absorption costing, with the reconciliation between them.",
+    parameters: {
+      type: "object",
+      properties: {
+        units_produced: { type: "number" },
+        units_sold: { type: "number" },
+        beginning_inventory_units: { type: "number", description: "Assumed carried at this period's unit costs" },
+        price: { type: "number" },
+        variable_manufacturing_cost: { type: "number", description: "Per unit" },
+        fixed_manufacturing_overhead: { type: "number", description: "Total for the period" },
+        variable_selling_cost: { type: "number", description: "Per unit sold" },
+        fixed_selling_admin: { type: "number", description: "Total for the period" },
+      },
+      required: ["units_produced", "units_sold", "price", "variable_manufacturing_cost", "fixed_manufacturing_overhead"],
+    },
+    run(args) {
+      const produced = calcNum(args, "units_produced", { min: 0 });
+      const sold = calcNum(args, "units_sold", { min: 0 });
+      const begin = calcNum(args, "beginning_inventory_units", { min: 0, fallback: 0 });
+      const p = calcNum(args, "price", { min: 0 });
+      const vm = calcNum(args, "variable_manufacturing_cost", { min: 0 });
+      const fmoh = calcNum(args, "fixed_manufacturing_overhead", { min: 0 });
+      const vs = calcNum(args, "variable_selling_cost", { min: 0, fallback: 0 });
+      const fsa = calcNum(args, "fixed_selling_admin", { min: 0, fallback: 0 });
+      if (!produced) throw calcInputError("units_produced must be > 0");
+      if (sold > produced + begin) throw calcInputError("units_sold exceeds units available");
+
+      const sales = sold * p;
+      const fixedPerUnit = fmoh / produced;
+      const absUnit = vm + fixedPerUnit;
+      const variableIncome = sales - sold * vm - sold * vs - fmoh - fsa;
+      const absorptionIncome = sales - sold * absUnit - sold * vs - fsa;
+      const inventoryChange = produced - sold;
+
+      const steps = [
+        `Sales = ${fmtNum(sold)} x ${fmtNum(p)} = ${fmtNum(sales)}`,
+        `Variable costing unit cost = ${fmtNum(vm)}`,
+        `Variable costing income = ${fmtNum(sales)} - ${fmtNum(sold * vm)} (variable COGS) - ${fmtNum(sold * vs)} (variable selling) - ${fmtNum(fmoh)} (fixed MOH) - ${fmtNum(fsa)} (fixed S&A) = ${fmtNum(variableIncome)}`,
+        `Fixed MOH per unit = ${fmtNum(fmoh)} / ${fmtNum(produced)} = ${fmtNum(fixedPerUnit, 4)}`,
+        `Absorption costing unit cost = ${fmtNum(vm)} + ${fmtNum(fixedPerUnit, 4)} = ${fmtNum(absUnit, 4)}`,
+        `Absorption costing income = ${fmtNum(sales)} - ${fmtNum(sold * absUnit)} (COGS) - ${fmtNum(sold * vs)} (variable selling) - ${fmtNum(fsa)} (fixed S&A) = ${fmtNum(absorptionIncome)}`,
+        `Difference = inventory change ${fmtNum(inventoryChange)} units x ${fmtNum(fixedPerUnit, 4)} fixed MOH per unit = ${fmtNum(absorptionIncome - variableIncome)}`,
+      ];
+      return {
+        result: {
+          variable_costing_income: round6(variableIncome),
+          absorption_costing_income: round6(absorptionIncome),
+          difference: round6(absorptionIncome - variableIncome),
+          variable_unit_cost: round6(vm),
+          absorption_unit_cost: round6(absUnit),
+        },
+        steps,
+      };
+    },
+  },
+};
+
+app.get("/api/calculators", (req, res) => {
+  res.json({
+    ok: true,
+    calculators: Object.entries(FINANCE_TOOLS).map(([name, t]) => ({
+      name,
+      description: t.description,
+      parameters: t.parameters,
+    })),
+  });
+});
+
+app.post("/api/calculators/:name", (req, res) => {
+  // hasOwn: "constructor", "__proto__" and friends are not calculators
+  const tool = Object.hasOwn(FINANCE_TOOLS, req.params.name) ? FINANCE_TOOLS[req.params.name] : null;
+  if (!tool) return jsonError(res, 404, "unknown_calculator", Object.keys(FINANCE_TOOLS));
+  try {
+    const { result, steps } = tool.run(req.body || {});
+    res.json({ ok: true, calculator: req.params.name, result, steps });
+  } catch (e) {
+    if (e?.status === 400) return jsonError(res, 400, "invalid_input", e.message);
+    console.error(e);
+    return jsonError(res, 500, "calculator_failed", String(e?.message || e));
+  }
+});
+
+// ---- Library ingestion (admin) ----
+
+// In-memory job registry; jobs are lost on restart, the written chunks are not.
+const ingestJobs = new Map();
+
+// Drops finished jobs past INGEST_JOB_TTL_MS, then the oldest beyond INGEST_JOB_MAX_FINISHED.
+// Running jobs are never evicted.
+function pruneIngestJobs(now = Date.now()) {
+  const finished = [...ingestJobs.values()]
+    .filter((j) => j.finished_at)
+    .sort((a, b) => Date.parse(b.finished_at) - Date.parse(a.finished_at));
+  finished.forEach((j, i) => {
+    if (i >= INGEST_JOB_MAX_FINISHED || now - Date.parse(j.finished_at) > INGEST_JOB_TTL_MS) ingestJobs.delete(j.id);
+  });
+}
+
+const INGEST_FORMATS = {
+  "application/pdf": "pdf",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": "docx",
+  "text/plain": "text",
+};
+
+// Returns [{ page_number, text }]. DOCX has no page model, plain text splits on form feeds.
+async function extractPages(buffer, format) {
+  if (format === "pdf") {
+    const { text } = await extractPdfText(new Uint8Array(buffer), { mergePages: false });
+    return text.map((t, i) => ({ page_number: i + 1, text: t }));
+  }
+  if (format === "docx") {
+    const { value } = await mammoth.extractRawText({ buffer });
+    return [{ page_number: 1, text: value }];
+  }
+  return buffer
+    .toString("utf8")
+    .split("\f")
+    .map((t, i) => ({ page_number: i + 1, text: t }));
+}
+
+// Fixed-size chunks with overlap, cut on whitespace where possible
+function chunkText(text, size = INGEST_CHUNK_CHARS, overlap = INGEST_CHUNK_OVERLAP) {
+  const clean = sanitizeText(text);
+  const chunks = [];
+  let start = 0;
+  while (start < clean.length) {
+    let end = Math.min(start + size, clean.length);
+    if (end < clean.length) {
+      const ws = clean.lastIndexOf(" ", end);
+      if (ws > start + size / 2) end = ws;
+    }
+    chunks.push(clean.slice(start, end).trim());
+    if (end >= clean.length) break;
+    start = Math.max(end - overlap, start + 1);
+  }
+  return chunks.filter(Boolean);
+}
+
+async function embedMany(texts, batchSize = 96) {
+  const out = [];
+  for (let i = 0; i < texts.length; i += batchSize) {
+    out.push(...(await llmEmbed(texts.slice(i, i + batchSize).map((t) => sanitizeText(t).slice(0, 8000)))));
+  }
+  return out;
+}
+
+async function runIngestJob(job, buffer) {
+  const update = (patch) => Object.assign(job, patch, { updated_at: new Date().toISOString() });
+
+  try {
+    await loadNoiseRules();
+    update({ state: "extracting" });
+    const pages = await extractPages(buffer, job.format);
+
+    update({ state: "chunking", pages: pages.length });
+    const rows = [];
+    let chunkIndex = 0;
+    for (const page of pages) {
+      for (const content of chunkText(page.text)) {
+        if (isNoisyChunk(content)) {
+          job.report.dropped_noise++;
+          continue;
+        }
+        rows.push({
+          document_id: job.document_id,
+          page_number: page.page_number,
+          chunk_index: chunkIndex++,
+          content,
+        });
+      }
+    }
+    job.report.chunks_kept = rows.length;
+    job.report.chunks_total = rows.length + job.report.dropped_noise;
+
+    update({ state: "embedding", progress: { done: 0, total: rows.length } });
+    for (let i = 0; i < rows.length; i += 96) {
+      const batch = rows.slice(i, i + 96);
+      const vectors = await embedMany(batch.map((r) => r.content));
+      batch.forEach((r, j) => { r.embedding = vectors[j]; });
+      update({ progress: { done: Math.min(i + 96, rows.length), total: rows.length } });
+    }
+
+    // New rows go in tagged with this job's id and the old version is deleted only after every
+    // batch landed; a failed write removes its own rows and leaves the previous chunks in place.
+    // Between the two steps searches can briefly see both versions.
+    update({ state: "writing" });
+    rows.forEach((r) => { r.ingest_version = job.id; });
+    try {
+      for (let i = 0; i < rows.length; i += 200) {
+        const { error } = await supabase.from(DOCUMENTS_TABLE).insert(rows.slice(i, i + 200));
+        if (error) throw error;
+      }
+    } catch (e) {
+      const { error: cleanupErr } = await supabase
+        .from(DOCUMENTS_TABLE)
+        .delete()
+        .eq("document_id", job.document_id)
+        .eq("ingest_version", job.id);
+      if (cleanupErr) console.error(`ingest job ${job.id}: cleanup of partial write failed:`, cleanupErr.message);
+      throw e;
+    }
+
+    // rows from before versioning have ingest_version null, which neq alone would skip
+    const { error: delErr, count } = await supabase
+      .from(DOCUMENTS_TABLE)
+      .delete({ count: "exact" })
+      .eq("document_id", job.document_id)
+      .or(`ingest_version.is.null,ingest_version.neq.${job.id}`);
+    if (delErr) throw delErr;
+    job.report.replaced_chunks = count || 0;
+
+    update({ state: "completed", finished_at: new Date().toISOString() });
+  } catch (e) {
+    console.error(`ingest job ${job.id} failed:`, e);
+    update({ state: "failed", error: String(e?.message || e), finished_at: new Date().toISOString() });
+  }
+}
+
+// Upload the raw file as the request body; format comes from Content-Type or ?format=pdf|docx|text
+app.post(
+  "/api/admin/library/documents/:documentId/ingest",
+  requireAdmin,
+  express.raw({ type: () => true, limit: INGEST_MAX_BYTES }),
+  (req, res) => {
+    const documentId = sanitizeText(req.params.documentId);
+    if (!documentId) return jsonError(res, 400, "document_id required");
+
+    const contentType = String(req.headers["content-type"] || "").split(";")[0].trim();
+    const format = req.query.format || INGEST_FORMATS[contentType];
+    if (!Object.values(INGEST_FORMATS).includes(format)) {
+      return jsonError(res, 400, "unsupported_format", "expected pdf, docx or text");
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) return jsonError(res, 400, "file body required");
+
+    const job = {
+      id: randomUUID(),
+      document_id: documentId,
+      format,
+      bytes: req.body.length,
+      state: "queued",
+      pages: null,
+      progress: null,
+      report: { chunks_total: 0, chunks_kept: 0, dropped_noise: 0, replaced_chunks: 0 },
+      error: null,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+      finished_at: null,
+    };
+    pruneIngestJobs();
+    ingestJobs.set(job.id, job);
+
+    res.status(202).json({ ok: true, job_id: job.id, state: job.state });
+    runIngestJob(job, req.body);
+  }
+);
+
+app.get("/api/admin/library/jobs/:jobId", requireAdmin, (req, res) => {
+  const job = ingestJobs.get(req.params.jobId);
+  if (!job) return jsonError(res, 404, "job_not_found");
+  res.json({ ok: true, job });
+});
+
+// Document-level metadata the search filters match on (library_documents, one row per document_id)
+const DOCUMENT_METADATA_FIELDS = ["title", "part", "section", "publisher", "year", "doc_type"];
+
+app.get("/api/admin/library/documents", requireAdmin, async (_req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from("library_documents")
+      .select(["document_id", ...DOCUMENT_METADATA_FIELDS, "updated_at"].join(", "))
+      .order("document_id");
+    if (error) return jsonError(res, 500, "documents_list_failed", error.message);
+
+    res.json({ ok: true, documents: data || [] });
+  } catch (e) {
+    console.error(e);
+    return jsonError(res, 500, "documents_list_failed", String(e?.message || e));
+  }
+});
+
+// Upsert; fields left out keep their stored value, null clears them
+app.put("/api/admin/library/documents/:documentId/metadata", requireAdmin, async (req, res) => {
+  try {
+    const documentId = sanitizeText(req.params.documentId);
+    if (!documentId) return jsonError(res, 400, "document_id required");
+
+    const body = req.body || {};
+    const unknown = Object.keys(body).filter((k) => !DOCUMENT_METADATA_FIELDS.includes(k));
+    if (unknown.length) {
+      return jsonError(res, 400, `unknown fields: ${unknown.join(", ")} (allowed: ${DOCUMENT_METADATA_FIELDS.join(", ")})`);
+    }
+    if (body.year != null && !Number.isInteger(body.year)) return jsonError(res, 400, "year must be an integer");
+
+    const patch = { document_id: documentId, updated_at: new Date().toISOString() };
+    for (const k of DOCUMENT_METADATA_FIELDS) {
+      if (!(k in body)) continue;
+      patch[k] = body[k] == null || k === "year" ? body[k] : sanitizeText(body[k]).slice(0, 200) || null;
+    }
+
+    const { data, error } = await supabase
+      .from("library_documents")
+      .upsert(patch, { onConflict: "document_id" })
+      .select(["document_id", ...DOCUMENT_METADATA_FIELDS, "updated_at"].join(", "))
+      .single();
+    if (error) return jsonError(res, 500, "metadata_save_failed", error.message);
+
+    res.json({ ok: true, document: data });
+  } catch (e) {
+    console.error(e);
+    return jsonError(res, 500, "metadata_save_failed", String(e?.message || e));
+  }
+});
+
+app.get("/api/admin/embedding-cache/stats", requireAdmin, (_req, res) => {
+  const lookups = embedCacheStats.lru_hits + embedCacheStats.db_hits + embedCacheStats.misses;
+  res.json({
+    ok: true,
+    model: EMBED_CACHE_MODEL,
+    lru_size: embedLru.size,
+    lru_capacity: EMBED_CACHE_SIZE,
+    ...embedCacheStats,
+    hit_rate: lookups ? (embedCacheStats.lru_hits + embedCacheStats.db_hits) / lookups : null,
+  });
+});
+
+// ---- Noise filter rules (admin) ----
+
+function noiseRuleInput(body) {
+  const { kind, pattern, params, description, enabled } = body || {};
+  return {
+    kind,
+    pattern: pattern == null ? null : String(pattern),
+    params: params && typeof params === "object" ? params : {},
+    description: description ? sanitizeText(description).slice(0, 200) : null,
+    enabled: enabled !== false,
+  };
+}
+
+// Scan stored chunks in pages of 1000, handing each row to `onRow`
+async function scanLibrary({ documentId, maxRows, onRow }) {
+  let scanned = 0;
+  for (let from = 0; from < maxRows; from += 1000) {
+    let q = supabase
+      .from(DOCUMENTS_TABLE)
+      .select("id, document_id, page_number, chunk_index, content, excluded")
+      .order("id")
+      .range(from, Math.min(from + 999, maxRows - 1));
+    if (documentId) q = q.eq("document_id", documentId);
+    const { data, error } = await q;
+    if (error) throw error;
+    for (const row of data || []) await onRow(row);
+    scanned += (data || []).length;
+    if ((data || []).length < 1000) break;
+  }
+  return scanned;
+}
+
+app.get("/api/admin/noise-rules", requireAdmin, async (_req, res) => {
+  try {
+    const rules = await loadNoiseRules({ force: true });
+    res.json({
+      ok: true,
+      filter_at_query: NOISE_FILTER_AT_QUERY,
+      rules: rules.map(({ regex: _r, needle: _n, ...r }) => r),
+    });
+  } catch (e) {
+    console.error(e);
+    return jsonError(res, 500, "noise_rules_list_failed", String(e?.message || e));
+  }
+});
+
+app.post("/api/admin/noise-rules", requireAdmin, async (req, res) => {
+  try {
+    const rule = noiseRuleInput(req.body);
+    try {
+      compileNoiseRule(rule);
+    } catch (e) {
+      return jsonError(res, 400, "invalid_rule", e.message);
+    }
+
+    const { data, error } = await supabase.from(NOISE_RULES_TABLE).insert(rule).select("*").single();
+    if (error) return jsonError(res, 500, "noise_rule_create_failed", error.message);
+
+    await loadNoiseRules({ force: true });
+    res.json({ ok: true, rule: data });
+  } catch (e) {
+    console.error(e);
+    return jsonError(res, 500, "noise_rule_create_failed", String(e?.message || e));
+  }
+});
+
+app.put("/api/admin/noise-rules/:id", requireAdmin, async (req, res) => {
+  try {
+    const { data: existing } = await supabase
+      .from(NOISE_RULES_TABLE)
+      .select("*")
+      .eq("id", req.params.id)
+      .maybeSingle();
+    if (!existing) return jsonError(res, 404, "rule_not_found");
+
+    const rule = noiseRuleInput({ ...existing, ...req.body });
+    try {
+      compileNoiseRule(rule);
+    } catch (e) {
+      return jsonError(res, 400, "invalid_rule", e.message);
+    }
+
+    const { data, error } = await supabase
+      .from(NOISE_RULES_TABLE)
+      .update(rule)
+      .eq("id", existing.id)
+      .select("*")
+      .single();
+    if (error) return jsonError(res, 500, "noise_rule_update_failed", error.message);
+
+    await loadNoiseRules({ force: true });
+    res.json({ ok: true, rule: data });
+  } catch (e) {
+    console.error(e);
+    return jsonError(res, 500, "noise_rule_update_failed", String(e?.message || e));
+  }
+});
+
+app.delete("/api/admin/noise-rules/:id", requireAdmin, async (req, res) => {
+  try {
+    const { error, count } = await supabase
+      .from(NOISE_RULES_TABLE)
+      .delete({ count: "exact" })
+      .eq("id", req.params.id);
+    if (error) return jsonError(res, 500, "noise_rule_delete_failed", error.message);
+    if (!count) return jsonError(res, 404, "rule_not_found");
+
+    await loadNoiseRules({ force: true });
+    res.json({ ok: true, deleted: req.params.id });
+  } catch (e) {
+    console.error(e);
+    return jsonError(res, 500, "noise_rule_delete_failed", String(e?.message || e));
+  }
+});
+
+// Re-adds DEFAULT_NOISE_RULES (e.g. after deleting them); defaults already stored (same kind + pattern) are skipped
+app.post("/api/admin/noise-rules/seed-defaults", requireAdmin, async (_req, res) => {
+  try {
+    const { data: existing, error: readErr } = await supabase.from(NOISE_RULES_TABLE).select("kind, pattern");
+    if (readErr) return jsonError(res, 500, "noise_rules_seed_failed", readErr.message);
+
+    const ruleKey = (r) => `${r.kind}|${r.pattern ?? ""}`;
+    const have = new Set((existing || []).map(ruleKey));
+    const missing = DEFAULT_NOISE_RULES.filter((r) => !have.has(ruleKey(r)));
+    if (missing.length) {
+      const { error } = await supabase.from(NOISE_RULES_TABLE).insert(missing);
+      if (error) return jsonError(res, 500, "noise_rules_seed_failed", error.message);
+    }
+
+    await loadNoiseRules({ force: true });
+    res.json({ ok: true, inserted: missing.length, skipped: DEFAULT_NOISE_RULES.length - missing.length });
+  } catch (e) {
+    console.error(e);
+    return jsonError(res, 500, "noise_rules_seed_failed", String(e?.message || e));
+  }
+});
+
+// Dry run: which stored chunks would a rule drop? Pass `rule` (unsaved) or `rule_id`.
+app.post("/api/admin/noise-rules/dry-run", requireAdmin, async (req, res) => {
+  try {
+    const { rule_id, document_id, max_rows, sample } = req.body || {};
+
+    let candidate;
+    if (rule_id) {
+      candidate = (await loadNoiseRules({ force: true })).find((r) => String(r.id) === String(rule_id));
+      if (!candidate) return jsonError(res, 404, "rule_not_found");
+    } else {
+      try {
+        candidate = compileNoiseRule(noiseRuleInput(req.body?.rule));
+      } catch (e) {
+        return jsonError(res, 400, "invalid_rule", e.message);
+      }
+    }
+
+    // Chunks already dropped by other enabled rules are reported separately
+    const others = noiseRules.filter((r) => r.id == null || String(r.id) !== String(candidate.id));
+    const sampleSize = Math.min(Number(sample) || 20, 100);
+    const matches = [];
+    let matched = 0;
+    let newlyDropped = 0;
+
+    const scanned = await scanLibrary({
+      documentId: typeof document_id === "string" ? document_id : null,
+      maxRows: Math.min(Number(max_rows) || 20000, 200000),
+      onRow: (row) => {
+        if (!noiseRuleMatches(candidate, String(row.content || ""), String(row.content || "").toLowerCase())) return;
+        matched++;
+        const alreadyDropped = Boolean(matchNoiseRule(row.content, others));
+        if (!alreadyDropped) newlyDropped++;
+        if (matches.length < sampleSize) {
+          matches.push({
+            document_id: row.document_id,
+            page_number: row.page_number,
+            chunk_index: row.chunk_index,
+            already_dropped: alreadyDropped,
+            excluded: Boolean(row.excluded),
+            preview: sanitizeText(row.content).slice(0, 200),
+          });
+        }
+      },
+    });
+
+    res.json({ ok: true, scanned, matched, newly_dropped: newlyDropped, sample: matches });
+  } catch (e) {
+    console.error(e);
+    return jsonError(res, 500, "noise_dry_run_failed", String(e?.message || e));
+  }
+});
+
+// Permanently mark chunks matched by the enabled rules as excluded in the library
+app.post("/api/admin/noise-rules/apply-exclusions", requireAdmin, async (req, res) => {
+  try {
+    const { document_id, max_rows } = req.body || {};
+    const rules = await loadNoiseRules({ force: true });
+
+    const byRule = new Map();
+    const scanned = await scanLibrary({
+      documentId: typeof document_id === "string" ? document_id : null,
+      maxRows: Math.min(Number(max_rows) || 200000, 1000000),
+      onRow: (row) => {
+        if (row.excluded) return;
+        const rule = matchNoiseRule(row.content, rules);
+        if (!rule) return;
+        const key = String(rule.id ?? rule.kind);
+        if (!byRule.has(key)) byRule.set(key, []);
+        byRule.get(key).push(row.id);
+      },
+    });
+
+    let excluded = 0;
+    for (const [ruleId, ids] of byRule) {
+      for (let i = 0; i < ids.length; i += 500) {
+        const batch = ids.slice(i, i + 500);
+        const { error } = await supabase
+          .from(DOCUMENTS_TABLE)
+          .update({ excluded: true, excluded_reason: `noise_rule:${ruleId}` })
+          .in("id", batch);
+        if (error) return jsonError(res, 500, "exclusion_update_failed", error.message);
+        excluded += batch.length;
+      }
+    }
+
+    res.json({
+      ok: true,
+      scanned,
+      excluded,
+      by_rule: Object.fromEntries([...byRule].map(([k, ids]) => [k, ids.length])),
+    });
+  } catch (e) {
+    console.error(e);
+    return jsonError(res, 500, "apply_exclusions_failed", String(e?.message || e));
+  }
+});
+
+// ---- MCQ drafting (admin) ----
+// Drafts land in mcq_drafts with status "pending_review"; only an explicit approve copies
+// one into mcq_questions. A second model solves each item without the key and flags disagreement.
+
+const MCQ_KEYS = ["A", "B", "C", "D"];
+const MCQ_DIFFICULTIES = ["easy", "medium", "hard"];
+const MCQ_DRAFT_STATUSES = ["pending_review", "approved", "rejected"];
+
+// Chunks to draft from: explicit ids, explicit doc/page/chunk triplets, or a topic search
+async function loadDraftSourceChunks({ chunkIds, chunks, topic }) {
+  const cols = "id, document_id, page_number, chunk_index, content, excluded";
+  let rows = [];
+  if (Array.isArray(chunkIds) && chunkIds.length) {
+    const { data, error } = await supabase.from(DOCUMENTS_TABLE).select(cols).in("id", chunkIds.slice(0, 50));
+    if (error) throw error;
+    rows = data || [];
+  } else if (Array.isArray(chunks) && chunks.length) {
+    for (const c of chunks.slice(0, 50)) {
+      const { data } = await supabase
+        .from(DOCUMENTS_TABLE)
+        .select(cols)
+        .eq("document_id", c.document_id)
+        .eq("page_number", c.page_number)
+        .eq("chunk_index", c.chunk_index)
+        .maybeSingle();
+      if (data) rows.push(data);
+    }
+  } else if (topic) {
+    const hits = await retrieveContext({
+      queryEmbedding: await embedOne(topic),
+      queryText: topic,
+      topK: 8,
+    });
+    // retrieval rows don't carry the table id; look it up so drafts keep source_chunk_id
+    for (const h of hits) {
+      const { data } = await supabase
+        .from(DOCUMENTS_TABLE)
+        .select(cols)
+        .eq("document_id", h.document_id)
+        .eq("page_number", h.page_number)
+        .eq("chunk_index", h.chunk_index)
+        .maybeSingle();
+      if (data) rows.push(data);
+    }
+  }
+  return rows.filter((r) => !r.excluded && !isNoisyChunk(r.content));
+}
+
+// Structural checks; returns a list of problems (empty = well-formed)
+function mcqShapeIssues(item) {
+  const issues = [];
+  if (!item.stem || String(item.stem).length < 15) issues.push("stem_too_short");
+  const keys = (item.choices || []).map((c) => c.key);
+  if (keys.length !== 4 || MCQ_KEYS.some((k) => !keys.includes(k))) issues.push("choices_not_A_to_D");
+  if ((item.choices || []).some((c) => !String(c.text || "").trim())) issues.push("empty_choice");
+  const texts = (item.choices || []).map((c) => String(c.text || "").trim().toLowerCase());
+  if (new Set(texts).size !== texts.length) issues.push("duplicate_choices");
+  if (!MCQ_KEYS.includes(item.correct_key)) issues.push("invalid_correct_key");
+  if (!MCQ_DIFFICULTIES.includes(item.difficulty)) issues.push("invalid_difficulty");
+  return issues;
+}
+
+async function draftMcqs({ sourceChunks, count, topic, difficulty }) {
+  const excerpts = sourceChunks
+    .map((c) => `SOURCE: ${c.document_id} | page:${c.page_number} | chunk:${c.chunk_index}\n${sanitizeText(c.content)}`)
+    .join("\n\n---\n\n");
+
+  const completion = await llmChat("mcq_draft", {
+    messages: [
+      {
+        role: "system",
+        content: [
+          `Write ${count} CMA-exam-style multiple choice questions from the library excerpts only.`,
+          "Each has a stem (a short scenario with numbers where the material allows), four choices A-D with exactly one correct answer, plausible distractors built on common mistakes, and an explanation of why the key is right and each distractor is wrong.",
+          difficulty ? `Target difficulty: ${difficulty}.` : "Mix easy, medium and hard.",
+          'Cite the excerpt each question is based on as source: "doc | page | chunk".',
+          'Return ONLY JSON: {"questions":[{"stem":"...","choices":[{"key":"A","text":"..."},{"key":"B","text":"..."},{"key":"C","text":"..."},{"key":"D","text":"..."}],"correct_key":"A|B|C|D","explanation":"...","difficulty":"easy|medium|hard","topic":"...","source":"doc | page | chunk"}]}',
+        ].join("\n"),
+      },
+      { role: "user", content: `${topic ? `TOPIC: ${topic}\n\n` : ""}LIBRARY EXCERPTS:\n${excerpts}` },
+    ],
+    temperature: 0.6,
+    json: true,
+  });
+
+  return {
+    questions: parseLlmJson(completion.text).questions || [],
+    generated_by: { provider: completion.provider, model: completion.model },
+  };
+}
+
+// Independent second pass: solve without seeing the key
+async function solveMcq(item, sourceText) {
+  try {
+    const completion = await llmChat("mcq_validate", {
+      messages: [
+        {
+          role: "system",
+          content:
+            "You are a CMA exam candidate. Solve the question using the reference excerpt and your knowledge. " +
+            "Also report problems: more than one defensible answer, no correct answer, ambiguity, or facts that contradict the excerpt. " +
+            'Return ONLY JSON: {"answer":"A|B|C|D","confidence":0-1,"issues":["..."]}',
+        },
+        {
+          role: "user",
+          content:
+            `REFERENCE EXCERPT:\n${sanitizeText(sourceText).slice(0, 4000)}\n\n` +
+            `QUESTION:\n${item.stem}\n\n${item.choices.map((c) => `${c.key}. ${c.text}`).join("\n")}`,
+        },
       ],
-      temperature: 0.2,
+      temperature: 0,
+      json: true,
     });
+    const parsed = parseLlmJson(completion.text);
+    const solverKey = MCQ_KEYS.includes(parsed.answer) ? parsed.answer : null;
+    return {
+      solver_key: solverKey,
+      agrees: solverKey === item.correct_key,
+      confidence: Number(parsed.confidence) || null,
+      issues: (Array.isArray(parsed.issues) ? parsed.issues : []).map((i) => sanitizeText(i).slice(0, 300)),
+      provider: completion.provider,
+      model: completion.model,
+    };
+  } catch (e) {
+    console.warn("mcq validation failed:", e?.message || e);
+    return { solver_key: null, agrees: false, confidence: null, issues: ["validation_failed"], provider: null, model: null };
+  }
+}
+
+app.post("/api/admin/mcq-drafts/generate", requireAdmin, async (req, res) => {
+  try {
+    const { chunk_ids, chunks, topic, count, difficulty, section_id } = req.body || {};
+    if (difficulty != null && !MCQ_DIFFICULTIES.includes(difficulty)) {
+      return jsonError(res, 400, `difficulty must be one of: ${MCQ_DIFFICULTIES.join(", ")}`);
+    }
+    const cleanTopic = typeof topic === "string" ? sanitizeText(topic).slice(0, 200) : "";
+
+    const sourceChunks = await loadDraftSourceChunks({ chunkIds: chunk_ids, chunks, topic: cleanTopic });
+    if (sourceChunks.length === 0) return jsonError(res, 400, "no_source_chunks", "pass chunk_ids, chunks or topic");
+
+    const n = Math.min(Math.max(Number(count) || 5, 1), MCQ_DRAFT_MAX_COUNT);
+    const { questions, generated_by } = await draftMcqs({ sourceChunks, count: n, topic: cleanTopic, difficulty });
+
+    const byKey = new Map(sourceChunks.map((c) => [hitKey(c).toLowerCase(), c]));
+    const rows = [];
+    for (const q of questions.slice(0, n)) {
+      const item = {
+        stem: sanitizeText(q.stem),
+        choices: (q.choices || []).map((c) => ({ key: String(c.key || "").trim().toUpperCase(), text: sanitizeText(c.text) })),
+        correct_key: String(q.correct_key || "").trim().toUpperCase(),
+        explanation: sanitizeText(q.explanation),
+        difficulty: MCQ_DIFFICULTIES.includes(q.difficulty) ? q.difficulty : difficulty || "medium",
+        topic: sanitizeText(q.topic || cleanTopic).slice(0, 120) || null,
+      };
+
+      const [cite] = verifyCitations(`[${q.source}]`, sourceChunks);
+      const source = cite?.verified ? byKey.get(hitKey(cite).toLowerCase()) : sourceChunks[0];
+      const shapeIssues = mcqShapeIssues(item);
+      const check = shapeIssues.length ? null : await solveMcq(item, source.content);
+
+      rows.push({
+        ...item,
+        section_id: typeof section_id === "string" ? section_id : null,
+        source_chunk_id: source.id,
+        status: "pending_review",
+        flagged: shapeIssues.length > 0 || !check?.agrees || (check?.issues || []).length > 0,
+        validation: { shape_issues: shapeIssues, solver: check, source_cited: Boolean(cite?.verified) },
+        metadata: {
+          source: { document_id: source.document_id, page_number: source.page_number, chunk_index: source.chunk_index },
+          generated_by,
+        },
+      });
+    }
+
+    const { data, error } = await supabase.from("mcq_drafts").insert(rows).select("*");
+    if (error) return jsonError(res, 500, "draft_save_failed", error.message);
 
-    res.json({ ok: true, summary: completion.choices?.[0]?.message?.content || "" });
+    res.json({
+      ok: true,
+      drafted: (data || []).length,
+      flagged: (data || []).filter((d) => d.flagged).length,
+      drafts: data || [],
+    });
   } catch (e) {
     console.error(e);
-    return jsonError(res, 500, "summarize error", String(e?.message || e));
+    return jsonError(res, 500, "draft_generate_failed", String(e?.message || e));
+  }
+});
+
+app.get("/api/admin/mcq-drafts", requireAdmin, async (req, res) => {
+  try {
+    const status = req.query.status || "pending_review";
+    if (!MCQ_DRAFT_STATUSES.includes(status)) {
+      return jsonError(res, 400, `status must be one of: ${MCQ_DRAFT_STATUSES.join(", ")}`);
+    }
+
+    let q = supabase
+      .from("mcq_drafts")
+      .select("*")
+      .eq("status", status)
+      .order("created_at", { ascending: false })
+      .limit(Math.min(Number(req.query.limit) || 100, 500));
+    if (req.query.flagged === "true") q = q.eq("flagged", true);
+    const { data, error } = await q;
+    if (error) return jsonError(res, 500, "draft_list_failed", error.message);
+
+    res.json({ ok: true, drafts: data || [] });
+  } catch (e) {
+    console.error(e);
+    return jsonError(res, 500, "draft_list_failed", String(e?.message || e));
+  }
+});
+
+// Approve: reviewer may patch fields, then the item is appended to the given exam
+app.post("/api/admin/mcq-drafts/:id/approve", requireAdmin, async (req, res) => {
+  try {
+    const { exam_id, section_id, edits } = req.body || {};
+    if (!exam_id) return jsonError(res, 400, "exam_id required");
+
+    const { data: draft } = await supabase.from("mcq_drafts").select("*").eq("id", req.params.id).maybeSingle();
+    if (!draft) return jsonError(res, 404, "draft_not_found");
+    if (draft.status !== "pending_review") return jsonError(res, 400, "draft_already_reviewed");
+
+    const edited = edits && typeof edits === "object" ? edits : {};
+    const unknown = Object.keys(edited).filter((k) => !MCQ_DRAFT_EDITABLE.includes(k));
+    if (unknown.length) {
+      return jsonError(res, 400, `edits can't change: ${unknown.join(", ")} (allowed: ${MCQ_DRAFT_EDITABLE.join(", ")})`);
+    }
+    const item = { ...draft, ...edited };
+    const issues = mcqShapeIssues(item);
+    if (issues.length) return jsonError(res, 400, "invalid_question", issues);
+
+    const { data: last } = await supabase
+      .from("mcq_questions")
+      .select("position")
+      .eq("exam_id", exam_id)
+      .order("position", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    const { data: question, error: insErr } = await supabase
+      .from("mcq_questions")
+      .insert({
+        exam_id,
+        section_id: section_id || item.section_id,
+        topic: item.topic,
+        stem: item.stem,
+        choices: item.choices,
+        correct_key: item.correct_key,
+        explanation: item.explanation,
+        difficulty: item.difficulty,
+        position: (last?.position || 0) + 1,
+        source_chunk_id: item.source_chunk_id,
+        metadata: { ...(item.metadata || {}), draft_id: draft.id },
+      })
+      .select("id, position")
+      .single();
+    if (insErr) return jsonError(res, 500, "question_insert_failed", insErr.message);
+
+    // fixed-form exams score against mcq_count; blueprint exams keep it as the form size
+    const { data: exam } = await supabase.from("mock_exams").select("blueprint").eq("id", exam_id).maybeSingle();
+    if (exam && !exam.blueprint) {
+      const { count } = await supabase
+        .from("mcq_questions")
+        .select("id", { count: "exact", head: true })
+        .eq("exam_id", exam_id);
+      if (count != null) await supabase.from("mock_exams").update({ mcq_count: count }).eq("id", exam_id);
+    }
+
+    await supabase
+      .from("mcq_drafts")
+      .update({ status: "approved", reviewed_at: new Date().toISOString(), approved_question_id: question.id })
+      .eq("id", draft.id);
+
+    res.json({ ok: true, question_id: question.id, position: question.position });
+  } catch (e) {
+    console.error(e);
+    return jsonError(res, 500, "draft_approve_failed", String(e?.message || e));
+  }
+});
+
+app.post("/api/admin/mcq-drafts/:id/reject", requireAdmin, async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    const { data, error } = await supabase
+      .from("mcq_drafts")
+      .update({
+        status: "rejected",
+        reviewed_at: new Date().toISOString(),
+        review_note: reason ? sanitizeText(reason).slice(0, 500) : null,
+      })
+      .eq("id", req.params.id)
+      .eq("status", "pending_review")
+      .select("id")
+      .maybeSingle();
+    if (error) return jsonError(res, 500, "draft_reject_failed", error.message);
+    if (!data) return jsonError(res, 404, "draft_not_found");
+
+    res.json({ ok: true, rejected: data.id });
+  } catch (e) {
+    console.error(e);
+    return jsonError(res, 500, "draft_reject_failed", String(e?.message || e));
   }
 });
 
@@ -303,26 +3757,512 @@ async function resolveToken(token) {
     .single();
   if (error || !data) return null;
   if (data.expires_at && new Date(data.expires_at) < new Date()) return null;
-  if (data.max_uses != null && data.used_count >= data.max_uses) return null;
   return data;
 }
 
+// max_uses caps how many attempts a token can start, not what those attempts can do afterwards
+function tokenUsedUp(tok) {
+  return tok.max_uses != null && tok.used_count >= tok.max_uses;
+}
+
+// ---- exam phases & timing ----
+// An attempt moves mcq -> essay -> submitted, like the real exam: closing the MCQ section forfeits
+// its unused time, and essays open only after it (and only for candidates at or above the exam's
+// essay_min_mcq_score). deadline_at is the end of the current phase. Saves are refused once it
+// has passed by more than EXAM_GRACE_SECONDS (network lag on the last answer); the sweeper
+// closes whatever phase is still open past that point.
+
+function phaseDeadline(minutes, from) {
+  if (!minutes) return null;
+  return new Date(Date.parse(from) + minutes * 60000).toISOString();
+}
+
+function isPastDeadline(att, now = Date.now()) {
+  return Boolean(att.deadline_at) && now > Date.parse(att.deadline_at) + EXAM_GRACE_SECONDS * 1000;
+}
+
+async function scoreAttemptMcqs(att) {
+  const { data: responses } = await supabase
+    .from("mcq_responses")
+    .select("is_correct")
+    .eq("attempt_id", att.id);
+
+  const { data: exam } = await supabase
+    .from("mock_exams")
+    .select("mcq_count")
+    .eq("id", att.exam_id)
+    .single();
+
+  const correct = (responses || []).filter((r) => r.is_correct).length;
+  const total = att.question_ids?.length || exam?.mcq_count || (responses || []).length;
+  const mcq_score = total > 0 ? Math.round((correct / total) * 100 * 100) / 100 : 0;
+  return { correct, total, mcq_score };
+}
+
+// Scores MCQs and closes the attempt. The state guard makes it safe to race with the sweeper:
+// only one caller wins, the other gets null.
+async function finalizeAttempt(att, { timedOut = false } = {}) {
+  const { correct, total, mcq_score } = await scoreAttemptMcqs(att);
+
+  const now = new Date().toISOString();
+  const { data: closed, error } = await supabase
+    .from("mock_attempts")
+    .update({
+      state: "completed",
+      phase: "submitted",
+      submitted_at: now,
+      completed_at: now,
+      mcq_score,
+      total_score: mcq_score,
+      timed_out: timedOut,
+      // closing straight from the MCQs (no essays, or below the threshold) ends that section too
+      ...(att.phase === "mcq" && { mcq_timed_out: timedOut }),
+    })
+    .eq("id", att.id)
+    .eq("state", "in_progress")
+    .select("id");
+  if (error) throw error;
+  if (!closed?.length) return null;
+
+  return { state: "completed", phase: "submitted", mcq_score, total_score: mcq_score, correct, total, timed_out: timedOut };
+}
+
+// Closes the MCQ section: opens the essays, or finalizes when the exam has none or the
+// candidate is below the essay threshold. Null if another caller closed it first.
+async function closeMcqSection(att, { timedOut = false } = {}) {
+  const { data: exam } = await supabase
+    .from("mock_exams")
+    .select("total_minutes, essay_minutes, essay_min_mcq_score")
+    .eq("id", att.exam_id)
+    .single();
+  const { count: essayCount } = await supabase
+    .from("essay_prompts")
+    .select("id", { count: "exact", head: true })
+    .eq("exam_id", att.exam_id);
+
+  const score = await scoreAttemptMcqs(att);
+  const minScore = exam?.essay_min_mcq_score ?? EXAM_ESSAY_MIN_MCQ_SCORE;
+  const eligible = score.mcq_score >= minScore;
+
+  if (!essayCount || !eligible) {
+    const closed = await finalizeAttempt(att, { timedOut });
+    return closed && { ...closed, essay_eligible: Boolean(essayCount) && eligible, essay_min_mcq_score: minScore };
+  }
+
+  // A timed-out section closed late (by the sweeper or /resume) starts the essay clock when the MCQ
+  // time actually ran out, not now; and the essays never run past started_at + total_minutes.
+  const now = new Date().toISOString();
+  const essayStart = timedOut && att.deadline_at && Date.parse(att.deadline_at) < Date.now() ? att.deadline_at : now;
+  let startedAt = att.started_at;
+  if (!startedAt && exam?.total_minutes) {
+    const { data } = await supabase.from("mock_attempts").select("started_at").eq("id", att.id).single();
+    startedAt = data?.started_at;
+  }
+  const overall = startedAt ? phaseDeadline(exam?.total_minutes, startedAt) : null;
+  const ownWindow = phaseDeadline(exam?.essay_minutes, essayStart);
+  // no separate essay time: the essays get whatever is left of total_minutes
+  const deadline = ownWindow && overall ? (ownWindow < overall ? ownWindow : overall) : ownWindow || overall;
+
+  const { data: moved, error } = await supabase
+    .from("mock_attempts")
+    .update({
+      phase: "essay",
+      mcq_closed_at: now,
+      mcq_timed_out: timedOut,
+      deadline_at: deadline,
+      mcq_score: score.mcq_score,
+      total_score: score.mcq_score,
+    })
+    .eq("id", att.id)
+    .eq("state", "in_progress")
+    .eq("phase", "mcq")
+    .select("id");
+  if (error) throw error;
+  if (!moved?.length) return null;
+
+  return { state: "in_progress", phase: "essay", deadline_at: deadline, mcq_timed_out: timedOut, essay_eligible: true, ...score };
+}
+
+// Closes whichever phase is open (what a timeout or "submit section" does)
+function closeCurrentPhase(att, opts) {
+  return att.phase === "mcq" ? closeMcqSection(att, opts) : finalizeAttempt(att, opts);
+}
+
+async function sweepExpiredAttempts() {
+  const cutoff = new Date(Date.now() - EXAM_GRACE_SECONDS * 1000).toISOString();
+  const { data: expired, error } = await supabase
+    .from("mock_attempts")
+    .select("id, exam_id, state, phase, deadline_at, question_ids")
+    .eq("state", "in_progress")
+    .not("deadline_at", "is", null)
+    .lt("deadline_at", cutoff)
+    .limit(200);
+  if (error) throw error;
+
+  let closed = 0;
+  for (const att of expired || []) {
+    try {
+      if (await closeCurrentPhase(att, { timedOut: true })) closed++;
+    } catch (e) {
+      console.error(`auto-close ${att.id} failed:`, e?.message || e);
+    }
+  }
+  return { expired: (expired || []).length, closed };
+}
+
+function essayPromptsFor(examId) {
+  return supabase
+    .from("essay_prompts")
+    .select("id, section_id, position, scenario, question, recommended_minutes")
+    .eq("exam_id", examId)
+    .order("position");
+}
+
+// Rejects a save on an expired phase, closing it on the spot rather than waiting for the sweeper
+async function rejectIfExpired(res, att) {
+  if (!isPastDeadline(att)) return false;
+  const closed = await closeCurrentPhase(att, { timedOut: true });
+  jsonError(res, 409, "time_expired", { deadline_at: att.deadline_at, ...(closed || {}) });
+  return true;
+}
+
+// Attempts started before phases existed have phase null and accept both kinds of save
+function rejectIfWrongPhase(res, att, phase) {
+  if (!att.phase || att.phase === phase) return false;
+  jsonError(res, 409, "wrong_phase", { phase: att.phase, expected: phase });
+  return true;
+}
+
+
+// ---- question shuffling ----
+// Exams (or individual tokens, which win) can set shuffle_questions / shuffle_choices. The attempt
+// stores its presentation as { seed, question_order: [question ids], choice_maps: { qid: { shown
+// key: canonical key } } }; candidates only ever see shown keys, while mcq_responses, admin views
+// and scoring stay in canonical terms.
+
+// mulberry32 keyed by a hash of the seed, so a stored seed always replays the same permutation
+function seededRandom(seed) {
+  let a = createHash("sha256").update(String(seed)).digest().readUInt32LE(0);
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function seededShuffle(items, rand) {
+  const out = [...items];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+// Null when neither kind of shuffling is on, so unshuffled attempts store nothing
+function buildPresentation(mcqs, { questions = false, choices = false } = {}, seed = randomUUID()) {
+  if (!questions && !choices) return null;
+  const ids = mcqs.map((q) => q.id);
+  const choice_maps = {};
+  if (choices) {
+    for (const q of mcqs) {
+      const keys = (q.choices || []).map((c) => c.key);
+      // per-question stream: adding a question to the exam doesn't reshuffle the others
+      const shown = seededShuffle(keys, seededRandom(`${seed}:${q.id}`));
+      choice_maps[q.id] = Object.fromEntries(keys.map((k, i) => [k, shown[i]]));
+    }
+  }
+  return {
+    seed,
+    question_order: questions ? seededShuffle(ids, seededRandom(seed)) : ids,
+    choice_maps,
+  };
+}
+
+// Candidate view of the questions: presentation order, positions renumbered, letters relabelled
+function presentMcqs(mcqs, presentation) {
+  if (!presentation) return mcqs;
+  const rank = new Map(presentation.question_order.map((id, i) => [id, i]));
+  return [...mcqs]
+    .sort((a, b) => (rank.get(a.id) ?? Infinity) - (rank.get(b.id) ?? Infinity))
+    .map((q, i) => {
+      const map = presentation.choice_maps?.[q.id];
+      if (!map) return { ...q, position: i + 1 };
+      const text = Object.fromEntries((q.choices || []).map((c) => [c.key, c.text]));
+      return { ...q, position: i + 1, choices: (q.choices || []).map((c) => ({ key: c.key, text: text[map[c.key]] })) };
+    });
+}
+
+function canonicalKey(presentation, questionId, shownKey) {
+  return presentation?.choice_maps?.[questionId]?.[shownKey] ?? shownKey;
+}
+
+function shownKey(presentation, questionId, key) {
+  const map = presentation?.choice_maps?.[questionId];
+  if (!map || key == null) return key;
+  return Object.keys(map).find((k) => map[k] === key) ?? key;
+}
+
+// ---- exam assembly ----
+// An exam with a blueprint has no fixed form: every attempt draws its own from a bank at start and
+// keeps the drawn ids in mock_attempts.question_ids (in canonical order), so grading and review
+// replay exactly what the candidate sat. Blueprint:
+//   { "topics": { "<topic>": count | { "count", "difficulty"? } }, "difficulty"?: { "easy": 0.3, ... },
+//     "bank_exam_ids"?: [...], "exclude_question_ids"?: [...], "exclude_sections"?: [...] }
+// The bank defaults to the exam's own mcq_questions. A topic's difficulty mix overrides the
+// exam-wide one. Items the candidate (by guest_email) saw in earlier attempts are only reused
+// once a topic has nothing fresh left.
+
+const BLUEPRINT_KEYS = ["topics", "difficulty", "bank_exam_ids", "exclude_question_ids", "exclude_sections"];
+
+function blueprintError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function normalizeDifficultyMix(raw, where) {
+  if (raw == null) return null;
+  if (typeof raw !== "object" || Array.isArray(raw)) throw blueprintError(`${where} must be an object of weights`);
+  const mix = {};
+  for (const [d, w] of Object.entries(raw)) {
+    if (!MCQ_DIFFICULTIES.includes(d)) throw blueprintError(`${where}: unknown difficulty ${d} (allowed: ${MCQ_DIFFICULTIES.join(", ")})`);
+    if (!(Number(w) >= 0)) throw blueprintError(`${where}.${d} must be a non-negative number`);
+    if (Number(w) > 0) mix[d] = Number(w);
+  }
+  if (!Object.keys(mix).length) throw blueprintError(`${where} needs at least one positive weight`);
+  return mix;
+}
+
+function normalizeBlueprint(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw blueprintError("blueprint must be an object");
+  const unknown = Object.keys(raw).filter((k) => !BLUEPRINT_KEYS.includes(k));
+  if (unknown.length) throw blueprintError(`unknown blueprint keys: ${unknown.join(", ")} (allowed: ${BLUEPRINT_KEYS.join(", ")})`);
+
+  const list = (key) => {
+    if (raw[key] == null) return [];
+    if (!Array.isArray(raw[key])) throw blueprintError(`${key} must be an array`);
+    return [...new Set(raw[key].map((v) => sanitizeText(v)).filter(Boolean))];
+  };
+
+  const topics = {};
+  for (const [topic, spec] of Object.entries(raw.topics || {})) {
+    const count = Number(typeof spec === "object" && spec ? spec.count : spec);
+    if (!Number.isInteger(count) || count < 1) throw blueprintError(`topics["${topic}"] needs a positive integer count`);
+    const difficulty = typeof spec === "object" ? normalizeDifficultyMix(spec?.difficulty, `topics["${topic}"].difficulty`) : null;
+    topics[topic] = { count, difficulty };
+  }
+  if (!Object.keys(topics).length) throw blueprintError("blueprint needs at least one topic");
+
+  return {
+    topics,
+    difficulty: normalizeDifficultyMix(raw.difficulty, "difficulty"),
+    bank_exam_ids: list("bank_exam_ids"),
+    exclude_question_ids: list("exclude_question_ids"),
+    exclude_sections: list("exclude_sections"),
+  };
+}
+
+// Largest-remainder split of count across the mix's weights
+function splitByMix(count, mix) {
+  const total = Object.values(mix).reduce((s, w) => s + w, 0);
+  const shares = Object.entries(mix).map(([d, w]) => [d, (count * w) / total]);
+  const out = Object.fromEntries(shares.map(([d, x]) => [d, Math.floor(x)]));
+  const left = count - Object.values(out).reduce((s, n) => s + n, 0);
+  shares
+    .sort((a, b) => (b[1] % 1) - (a[1] % 1))
+    .slice(0, left)
+    .forEach(([d]) => out[d]++);
+  return out;
+}
+
+// Pure draw so the admin preview and /start agree; the seed makes a form replayable
+function drawForm(bank, blueprint, seen, seed) {
+  const rand = seededRandom(seed);
+  const excluded = new Set(blueprint.exclude_question_ids);
+  const pool = bank.filter((q) => !excluded.has(q.id) && !blueprint.exclude_sections.includes(q.section_id));
+
+  const picked = [];
+  const shortfall = {};
+  for (const [topic, spec] of Object.entries(blueprint.topics)) {
+    const inTopic = pool.filter((q) => q.topic === topic);
+    const mix = spec.difficulty || blueprint.difficulty;
+    const quotas = mix ? splitByMix(spec.count, mix) : {};
+    const take = [];
+    const chosen = new Set();
+    const fill = (candidates, n) => {
+      for (const q of candidates) {
+        if (n <= 0 || take.length >= spec.count) break;
+        if (chosen.has(q.id)) continue;
+        chosen.add(q.id);
+        take.push(q);
+        n--;
+      }
+    };
+
+    // fresh items first (honouring the mix, then topping up from any difficulty); repeats only after
+    for (const group of [inTopic.filter((q) => !seen.has(q.id)), inTopic.filter((q) => seen.has(q.id))]) {
+      const order = seededShuffle(group, rand);
+      for (const [d, n] of Object.entries(quotas)) {
+        fill(order.filter((q) => q.difficulty === d), n - take.filter((q) => q.difficulty === d).length);
+      }
+      fill(order, spec.count - take.length);
+    }
+
+    if (take.length < spec.count) shortfall[topic] = spec.count - take.length;
+    picked.push(...take);
+  }
+
+  return {
+    questions: picked,
+    reused: picked.filter((q) => seen.has(q.id)).length,
+    shortfall,
+  };
+}
+
+// Question ids shown to this candidate in their recent attempts (any exam; banks can overlap)
+async function seenQuestionIds(email) {
+  const seen = new Set();
+  if (!email) return seen;
+
+  const { data: attempts, error } = await supabase
+    .from("mock_attempts")
+    .select("id, question_ids")
+    .ilike("guest_email", String(email).replace(/[\\%_]/g, "\\$&"))
+    .order("started_at", { ascending: false })
+    .limit(EXAM_SEEN_LOOKBACK);
+  if (error) throw error;
+
+  for (const a of attempts || []) (a.question_ids || []).forEach((id) => seen.add(id));
+  // fixed-form attempts have no stored set; what they answered is the best record
+  const fixed = (attempts || []).filter((a) => !a.question_ids?.length).map((a) => a.id);
+  // paged: a handful of past attempts can easily pass PostgREST's default row cap
+  for (let from = 0; fixed.length; from += 1000) {
+    const { data: responses, error: respErr } = await supabase
+      .from("mcq_responses")
+      .select("question_id")
+      .in("attempt_id", fixed)
+      .order("attempt_id")
+      .order("question_id")
+      .range(from, from + 999);
+    if (respErr) throw respErr;
+    (responses || []).forEach((r) => seen.add(r.question_id));
+    if ((responses || []).length < 1000) break;
+  }
+  return seen;
+}
+
+async function assembleForm(exam, email, seed = randomUUID()) {
+  let blueprint;
+  try {
+    blueprint = normalizeBlueprint(exam.blueprint);
+  } catch (e) {
+    // a stored blueprint that doesn't validate is a config problem, not a bad request
+    throw new Error(`exam ${exam.id} has an invalid blueprint: ${e.message}`);
+  }
+  const bankIds = blueprint.bank_exam_ids.length ? blueprint.bank_exam_ids : [exam.id];
+
+  // a shared bank can outgrow one page, and a truncated bank would silently skew the draw
+  const bank = [];
+  for (let from = 0; ; from += 1000) {
+    const { data, error } = await supabase
+      .from("mcq_questions")
+      .select("id, section_id, topic, stem, choices, position, difficulty")
+      .in("exam_id", bankIds)
+      .in("topic", Object.keys(blueprint.topics))
+      .order("id")
+      .range(from, from + 999);
+    if (error) throw error;
+    bank.push(...(data || []));
+    if ((data || []).length < 1000) break;
+  }
+
+  const seen = await seenQuestionIds(email);
+  // sort first so the same seed draws the same form whatever order the bank comes back in
+  const sorted = bank.sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+  const drawn = drawForm(sorted, blueprint, seen, seed);
+  return {
+    mcqs: drawn.questions.map((q, i) => ({ ...q, position: i + 1 })),
+    assembly: { seed, bank_size: sorted.length, reused: drawn.reused, shortfall: drawn.shortfall },
+  };
+}
+
+// The attempt's question set in canonical order: its drawn form, or the exam's fixed questions
+async function attemptQuestions(att, columns) {
+  if (!att.question_ids?.length) {
+    const { data, error } = await supabase
+      .from("mcq_questions")
+      .select(columns)
+      .eq("exam_id", att.exam_id)
+      .order("position");
+    if (error) throw error;
+    return data || [];
+  }
+
+  const { data, error } = await supabase.from("mcq_questions").select(columns).in("id", att.question_ids);
+  if (error) throw error;
+  const rank = new Map(att.question_ids.map((id, i) => [id, i]));
+  return (data || [])
+    .sort((a, b) => rank.get(a.id) - rank.get(b.id))
+    .map((q) => ("position" in q ? { ...q, position: rank.get(q.id) + 1 } : q));
+}
+
+function examClientInfo(exam, mcqCount) {
+  return {
+    id: exam.id,
+    total_minutes: exam.total_minutes,
+    mcq_minutes: exam.mcq_minutes || exam.total_minutes,
+    essay_minutes: exam.essay_minutes || 0,
+    pass_threshold: exam.pass_threshold,
+    mcq_count: mcqCount,
+  };
+}
+
+function hashResumeToken(resumeToken) {
+  return createHash("sha256").update(String(resumeToken)).digest("hex");
+}
+
 // Start exam via token
 app.post("/api/exam/:token/start", async (req, res) => {
   try {
     const tok = await resolveToken(req.params.token);
-    if (!tok) return jsonError(res, 403, "invalid_or_expired_token");
+    if (!tok || tokenUsedUp(tok)) return jsonError(res, 403, "invalid_or_expired_token");
 
     const { guest_name, guest_email, guest_phone, guest_institute } = req.body || {};
 
     const { data: exam, error: examErr } = await supabase
       .from("mock_exams")
-      .select("id, slug, title, total_minutes, mcq_minutes, essay_minutes, mcq_count, essay_count, pass_threshold")
+      .select("id, slug, title, total_minutes, mcq_minutes, essay_minutes, mcq_count, essay_count, pass_threshold, shuffle_questions, shuffle_choices, blueprint")
       .eq("id", tok.exam_id)
       .single();
     if (examErr || !exam) return jsonError(res, 404, "exam_not_found");
 
+    // Fetch questions (strip correct_key): a fresh draw for blueprint exams, else the fixed form
+    let mcqs;
+    let assembly = null;
+    if (exam.blueprint) {
+      ({ mcqs, assembly } = await assembleForm(exam, guest_email));
+      if (!mcqs.length) return jsonError(res, 409, "bank_empty", assembly);
+    } else {
+      const { data } = await supabase
+        .from("mcq_questions")
+        .select("id, section_id, topic, stem, choices, position, difficulty")
+        .eq("exam_id", exam.id)
+        .order("position");
+      mcqs = data || [];
+    }
+
+    const presentation = buildPresentation(mcqs, {
+      questions: tok.shuffle_questions ?? exam.shuffle_questions,
+      choices: tok.shuffle_choices ?? exam.shuffle_choices,
+    });
+
+    // Only its hash is stored; the candidate carries the secret to resume on another device
+    const resumeToken = randomBytes(24).toString("base64url");
+
     // Create attempt
+    const startedAt = new Date().toISOString();
     const { data: attempt, error: attErr } = await supabase
       .from("mock_attempts")
       .insert({
@@ -331,51 +4271,126 @@ app.post("/api/exam/:token/start", async (req, res) => {
         guest_name: guest_name || null,
         guest_email: guest_email || null,
         pass_threshold: exam.pass_threshold,
+        started_at: startedAt,
+        phase: "mcq",
+        deadline_at: phaseDeadline(exam.mcq_minutes || exam.total_minutes, startedAt),
+        presentation,
+        question_ids: assembly ? mcqs.map((q) => q.id) : null,
+        resume_hash: hashResumeToken(resumeToken),
         metadata: {
           source: "standalone",
           token: req.params.token,
           phone: guest_phone || null,
           institute: guest_institute || null,
+          ...(assembly && { assembly }),
         },
       })
-      .select("id")
+      .select("id, phase, started_at, deadline_at")
+      .single();
+    if (attErr) return jsonError(res, 500, "attempt_create_failed", attErr.message);
+
+    // Increment used_count
+    await supabase
+      .from("exam_access_tokens")
+      .update({ used_count: tok.used_count + 1 })
+      .eq("id", tok.id);
+
+    res.json({
+      attempt_id: attempt.id,
+      resume_token: resumeToken,
+      phase: attempt.phase,
+      started_at: attempt.started_at,
+      deadline_at: attempt.deadline_at,
+      grace_seconds: EXAM_GRACE_SECONDS,
+      // clients should count down against this rather than their own clock
+      server_time: new Date().toISOString(),
+      exam: examClientInfo(exam, mcqs.length),
+      mcqs: presentMcqs(mcqs, presentation),
+      // prompts are handed out by submit-section once the MCQ section closes
+      essays: [],
+      essay_count: exam.essay_count || 0,
+    });
+  } catch (e) {
+    console.error(e);
+    return jsonError(res, 500, "start_failed", String(e?.message || e));
+  }
+});
+
+// Pick an in-progress attempt back up (reload, another device) with the resume_token from /start.
+// POST so the secret stays out of URLs and access logs. Doesn't count as a use of the token.
+app.post("/api/exam/:token/resume", async (req, res) => {
+  try {
+    const tok = await resolveToken(req.params.token);
+    if (!tok) return jsonError(res, 403, "invalid_or_expired_token");
+
+    const resumeToken = req.body?.resume_token;
+    if (!resumeToken) return jsonError(res, 400, "resume_token required");
+
+    const loadAttempt = () =>
+      supabase
+        .from("mock_attempts")
+        .select("id, exam_id, state, phase, started_at, deadline_at, presentation, question_ids")
+        .eq("resume_hash", hashResumeToken(resumeToken))
+        .eq("access_token_id", tok.id)
+        .maybeSingle();
+
+    let { data: att } = await loadAttempt();
+    if (!att) return jsonError(res, 404, "attempt_not_found");
+
+    // A phase that ran out while the candidate was away is closed now, so an MCQ timeout
+    // resumes straight into the essays
+    if (att.state === "in_progress" && isPastDeadline(att)) {
+      await closeCurrentPhase(att, { timedOut: true });
+      ({ data: att } = await loadAttempt());
+      if (!att) return jsonError(res, 404, "attempt_not_found");
+    }
+    if (att.state !== "in_progress") {
+      return jsonError(res, 409, "attempt_not_in_progress", { attempt_id: att.id, state: att.state, phase: att.phase });
+    }
+
+    const { data: exam } = await supabase
+      .from("mock_exams")
+      .select("id, total_minutes, mcq_minutes, essay_minutes, essay_count, pass_threshold")
+      .eq("id", att.exam_id)
       .single();
-    if (attErr) return jsonError(res, 500, "attempt_create_failed", attErr.message);
 
-    // Increment used_count
-    await supabase
-      .from("exam_access_tokens")
-      .update({ used_count: tok.used_count + 1 })
-      .eq("id", tok.id);
+    const mcqs = await attemptQuestions(att, "id, section_id, topic, stem, choices, position, difficulty");
 
-    // Fetch questions (strip correct_key)
-    const { data: mcqs } = await supabase
-      .from("mcq_questions")
-      .select("id, section_id, topic, stem, choices, position, difficulty")
-      .eq("exam_id", exam.id)
-      .order("position");
+    // Saved answers go back out in the letters this candidate was shown
+    const { data: responses } = await supabase
+      .from("mcq_responses")
+      .select("question_id, selected_key, flagged, time_seconds")
+      .eq("attempt_id", att.id);
 
-    const { data: essays } = await supabase
-      .from("essay_prompts")
-      .select("id, section_id, position, scenario, question, recommended_minutes")
-      .eq("exam_id", exam.id)
-      .order("position");
+    const inEssays = att.phase !== "mcq";
+    const { data: essays } = inEssays ? await essayPromptsFor(att.exam_id) : { data: [] };
+    const { data: drafts } = inEssays
+      ? await supabase.from("essay_submissions").select("prompt_id, content, submitted_at").eq("attempt_id", att.id)
+      : { data: [] };
 
+    const now = Date.now();
     res.json({
-      attempt_id: attempt.id,
-      exam: {
-        id: exam.id,
-        total_minutes: exam.total_minutes,
-        mcq_minutes: exam.mcq_minutes || exam.total_minutes,
-        essay_minutes: exam.essay_minutes || 0,
-        pass_threshold: exam.pass_threshold,
-      },
-      mcqs: mcqs || [],
+      attempt_id: att.id,
+      state: att.state,
+      phase: att.phase,
+      started_at: att.started_at,
+      deadline_at: att.deadline_at,
+      remaining_seconds: att.deadline_at ? Math.max(0, Math.round((Date.parse(att.deadline_at) - now) / 1000)) : null,
+      grace_seconds: EXAM_GRACE_SECONDS,
+      server_time: new Date(now).toISOString(),
+      exam: exam ? examClientInfo(exam, mcqs.length) : null,
+      mcqs: presentMcqs(mcqs, att.presentation),
+      responses: (responses || []).map((r) => ({
+        ...r,
+        selected_key: shownKey(att.presentation, r.question_id, r.selected_key),
+      })),
       essays: essays || [],
+      essay_drafts: drafts || [],
+      essay_count: exam?.essay_count || 0,
     });
   } catch (e) {
     console.error(e);
-    return jsonError(res, 500, "start_failed", String(e?.message || e));
+    return jsonError(res, 500, "resume_failed", String(e?.message || e));
   }
 });
 
@@ -391,23 +4406,25 @@ app.put("/api/exam/:token/attempts/:attemptId/mcq", async (req, res) => {
     // Verify attempt belongs to this token
     const { data: att } = await supabase
       .from("mock_attempts")
-      .select("id, exam_id, state")
+      .select("id, exam_id, state, phase, deadline_at, presentation, question_ids")
       .eq("id", attemptId)
       .eq("access_token_id", tok.id)
       .single();
     if (!att) return jsonError(res, 404, "attempt_not_found");
     if (att.state !== "in_progress") return jsonError(res, 400, "attempt_not_in_progress");
-
-    // Get correct key
-    const { data: q } = await supabase
-      .from("mcq_questions")
-      .select("correct_key")
-      .eq("id", question_id)
-      .eq("exam_id", att.exam_id)
-      .single();
+    if (rejectIfWrongPhase(res, att, "mcq")) return;
+    if (await rejectIfExpired(res, att)) return;
+
+    // Get correct key; drawn forms only accept their own questions
+    if (att.question_ids && !att.question_ids.includes(question_id)) return jsonError(res, 404, "question_not_found");
+    let qQuery = supabase.from("mcq_questions").select("correct_key").eq("id", question_id);
+    if (!att.question_ids) qQuery = qQuery.eq("exam_id", att.exam_id);
+    const { data: q } = await qQuery.single();
     if (!q) return jsonError(res, 404, "question_not_found");
 
-    const is_correct = selected_key === q.correct_key;
+    // The candidate answers with the letter they were shown; responses are stored canonically
+    const canonical = canonicalKey(att.presentation, question_id, selected_key);
+    const is_correct = canonical === q.correct_key;
 
     // Upsert response
     const { error: upsertErr } = await supabase
@@ -416,7 +4433,7 @@ app.put("/api/exam/:token/attempts/:attemptId/mcq", async (req, res) => {
         {
           attempt_id: attemptId,
           question_id,
-          selected_key,
+          selected_key: canonical,
           is_correct,
           flagged: flagged || false,
           time_seconds: time_seconds || null,
@@ -443,12 +4460,14 @@ app.post("/api/exam/:token/attempts/:attemptId/essay", async (req, res) => {
 
     const { data: att } = await supabase
       .from("mock_attempts")
-      .select("id, exam_id, state")
+      .select("id, exam_id, state, phase, deadline_at, question_ids")
       .eq("id", attemptId)
       .eq("access_token_id", tok.id)
       .single();
     if (!att) return jsonError(res, 404, "attempt_not_found");
     if (att.state !== "in_progress") return jsonError(res, 400, "attempt_not_in_progress");
+    if (rejectIfWrongPhase(res, att, "essay")) return;
+    if (await rejectIfExpired(res, att)) return;
 
     const { data: sub, error: subErr } = await supabase
       .from("essay_submissions")
@@ -467,8 +4486,8 @@ app.post("/api/exam/:token/attempts/:attemptId/essay", async (req, res) => {
   }
 });
 
-// Finalize attempt via token
-app.post("/api/exam/:token/attempts/:attemptId/finalize", async (req, res) => {
+// Close the current section: mcq -> essay (prompts returned here), essay -> submitted
+app.post("/api/exam/:token/attempts/:attemptId/submit-section", async (req, res) => {
   try {
     const tok = await resolveToken(req.params.token);
     if (!tok) return jsonError(res, 403, "invalid_or_expired_token");
@@ -477,47 +4496,76 @@ app.post("/api/exam/:token/attempts/:attemptId/finalize", async (req, res) => {
 
     const { data: att } = await supabase
       .from("mock_attempts")
-      .select("id, exam_id, state")
+      .select("id, exam_id, state, phase, deadline_at, question_ids")
       .eq("id", attemptId)
       .eq("access_token_id", tok.id)
       .single();
     if (!att) return jsonError(res, 404, "attempt_not_found");
     if (att.state !== "in_progress") return jsonError(res, 400, "already_submitted");
+    if (!att.phase) return jsonError(res, 400, "attempt_has_no_sections", "use /finalize");
 
-    // Count correct / total
-    const { data: responses } = await supabase
-      .from("mcq_responses")
-      .select("is_correct")
-      .eq("attempt_id", attemptId);
+    const closed = await closeCurrentPhase(att, { timedOut: isPastDeadline(att) });
+    if (!closed) return jsonError(res, 409, "section_already_closed");
 
-    const { data: exam } = await supabase
-      .from("mock_exams")
-      .select("mcq_count")
-      .eq("id", att.exam_id)
+    if (closed.phase !== "essay") return res.json(closed);
+
+    const { data: essays } = await essayPromptsFor(att.exam_id);
+    res.json({ ...closed, essays: essays || [] });
+  } catch (e) {
+    console.error(e);
+    return jsonError(res, 500, "submit_section_failed", String(e?.message || e));
+  }
+});
+
+// Essay prompts for attempts that actually opened the essays (e.g. to reload the page mid-essay).
+// mcq_closed_at is only set on the move to the essay phase, so attempts finalized during the
+// MCQs or below the essay threshold never see the prompts.
+app.get("/api/exam/:token/attempts/:attemptId/essays", async (req, res) => {
+  try {
+    const tok = await resolveToken(req.params.token);
+    if (!tok) return jsonError(res, 403, "invalid_or_expired_token");
+
+    const { data: att } = await supabase
+      .from("mock_attempts")
+      .select("id, exam_id, state, phase, deadline_at, mcq_closed_at")
+      .eq("id", req.params.attemptId)
+      .eq("access_token_id", tok.id)
       .single();
+    if (!att) return jsonError(res, 404, "attempt_not_found");
+    const reachedEssays = !att.phase || att.phase === "essay" || (att.phase === "submitted" && att.mcq_closed_at);
+    if (!reachedEssays) return jsonError(res, 409, "wrong_phase", { phase: att.phase, expected: "essay" });
 
-    const correct = (responses || []).filter((r) => r.is_correct).length;
-    const total = exam?.mcq_count || (responses || []).length;
-    const mcq_score = total > 0 ? Math.round((correct / total) * 100 * 100) / 100 : 0;
+    const { data: essays } = await essayPromptsFor(att.exam_id);
+    res.json({ ok: true, phase: att.phase, deadline_at: att.deadline_at, essays: essays || [] });
+  } catch (e) {
+    console.error(e);
+    return jsonError(res, 500, "essays_failed", String(e?.message || e));
+  }
+});
 
-    const now = new Date().toISOString();
-    await supabase
+// Finalize attempt via token
+app.post("/api/exam/:token/attempts/:attemptId/finalize", async (req, res) => {
+  try {
+    const tok = await resolveToken(req.params.token);
+    if (!tok) return jsonError(res, 403, "invalid_or_expired_token");
+
+    const { attemptId } = req.params;
+
+    const { data: att } = await supabase
       .from("mock_attempts")
-      .update({
-        state: "completed",
-        submitted_at: now,
-        completed_at: now,
-        mcq_score,
-        total_score: mcq_score,
-      })
-      .eq("id", attemptId);
+      .select("id, exam_id, state, phase, deadline_at, question_ids")
+      .eq("id", attemptId)
+      .eq("access_token_id", tok.id)
+      .single();
+    if (!att) return jsonError(res, 404, "attempt_not_found");
+    if (att.state !== "in_progress") return jsonError(res, 400, "already_submitted");
+
+    // a submit that arrives after the grace window counts as a timeout, same as the sweeper
+    const closed = await finalizeAttempt(att, { timedOut: isPastDeadline(att) });
+    if (!closed) return jsonError(res, 400, "already_submitted");
 
     res.json({
-      state: "completed",
-      mcq_score,
-      total_score: mcq_score,
-      correct,
-      total,
+      ...closed,
       essay_score: null,
       pending_essays: false,
     });
@@ -531,7 +4579,7 @@ app.post("/api/exam/:token/attempts/:attemptId/finalize", async (req, res) => {
 app.get("/api/exam/:token/validate", async (req, res) => {
   try {
     const tok = await resolveToken(req.params.token);
-    if (!tok) return jsonError(res, 403, "invalid_or_expired_token");
+    if (!tok || tokenUsedUp(tok)) return jsonError(res, 403, "invalid_or_expired_token");
 
     const { data: exam } = await supabase
       .from("mock_exams")
@@ -549,6 +4597,70 @@ app.get("/api/exam/:token/validate", async (req, res) => {
   }
 });
 
+// Same pass the in-process sweeper runs; for deployments that prefer an external cron
+app.post("/api/admin/exam/sweep-expired", requireAdmin, async (_req, res) => {
+  try {
+    res.json({ ok: true, ...(await sweepExpiredAttempts()) });
+  } catch (e) {
+    console.error(e);
+    return jsonError(res, 500, "sweep_failed", String(e?.message || e));
+  }
+});
+
+// Set (or, with null, clear) an exam's blueprint; takes effect for attempts started afterwards
+app.put("/api/admin/exams/:examId/blueprint", requireAdmin, async (req, res) => {
+  try {
+    const blueprint = req.body?.blueprint === null ? null : normalizeBlueprint(req.body?.blueprint);
+
+    const { data, error } = await supabase
+      .from("mock_exams")
+      .update({ blueprint })
+      .eq("id", req.params.examId)
+      .select("id, title, blueprint")
+      .maybeSingle();
+    if (error) return jsonError(res, 500, "blueprint_save_failed", error.message);
+    if (!data) return jsonError(res, 404, "exam_not_found");
+
+    res.json({ ok: true, exam: data });
+  } catch (e) {
+    if (e?.status === 400) return jsonError(res, 400, "invalid_blueprint", e.message);
+    console.error(e);
+    return jsonError(res, 500, "blueprint_save_failed", String(e?.message || e));
+  }
+});
+
+// Draws a form without starting an attempt: checks the bank covers the blueprint, and with
+// guest_email shows how many items a returning candidate would see again
+app.post("/api/admin/exams/:examId/blueprint/preview", requireAdmin, async (req, res) => {
+  try {
+    const { data: exam } = await supabase
+      .from("mock_exams")
+      .select("id, blueprint")
+      .eq("id", req.params.examId)
+      .maybeSingle();
+    if (!exam) return jsonError(res, 404, "exam_not_found");
+
+    if (!req.body?.blueprint && !exam.blueprint) {
+      return jsonError(res, 400, "exam has no blueprint; send one in the body to preview it");
+    }
+    const blueprint = req.body?.blueprint ? normalizeBlueprint(req.body.blueprint) : exam.blueprint;
+
+    const { mcqs, assembly } = await assembleForm({ ...exam, blueprint }, req.body?.guest_email, req.body?.seed || undefined);
+    const counts = {};
+    for (const q of mcqs) {
+      counts[q.topic] ||= { total: 0 };
+      counts[q.topic].total++;
+      counts[q.topic][q.difficulty || "unrated"] = (counts[q.topic][q.difficulty || "unrated"] || 0) + 1;
+    }
+
+    res.json({ ok: true, ...assembly, drawn: mcqs.length, topics: counts, question_ids: mcqs.map((q) => q.id) });
+  } catch (e) {
+    if (e?.status === 400) return jsonError(res, 400, "invalid_blueprint", e.message);
+    console.error(e);
+    return jsonError(res, 500, "blueprint_preview_failed", String(e?.message || e));
+  }
+});
+
 // ---- Admin results (token-scoped) ----
 
 // List all attempts for a token
@@ -565,7 +4677,7 @@ app.get("/api/admin/exam/:token/attempts", async (req, res) => {
 
     const { data: attempts } = await supabase
       .from("mock_attempts")
-      .select("id, state, guest_name, guest_email, mcq_score, total_score, started_at, submitted_at, completed_at, metadata")
+      .select("id, state, guest_name, guest_email, mcq_score, total_score, started_at, deadline_at, submitted_at, completed_at, timed_out, mcq_timed_out, metadata")
       .eq("access_token_id", tok.id)
       .order("started_at", { ascending: false });
 
@@ -592,11 +4704,12 @@ app.get("/api/admin/exam/:token/attempts/:attemptId", async (req, res) => {
 
     const { data: att } = await supabase
       .from("mock_attempts")
-      .select("id, state, guest_name, guest_email, mcq_score, total_score, started_at, submitted_at")
+      .select("id, state, guest_name, guest_email, mcq_score, total_score, started_at, deadline_at, submitted_at, timed_out, mcq_timed_out, mcq_closed_at, presentation, exam_id, question_ids")
       .eq("id", attemptId)
       .eq("access_token_id", tok.id)
       .single();
     if (!att) return jsonError(res, 404, "attempt_not_found");
+    const { presentation, ...attempt } = att;
 
     // Get MCQ responses with question details
     const { data: responses } = await supabase
@@ -604,25 +4717,24 @@ app.get("/api/admin/exam/:token/attempts/:attemptId", async (req, res) => {
       .select("question_id, selected_key, is_correct, flagged, time_seconds")
       .eq("attempt_id", attemptId);
 
-    // Get questions for this exam
-    const { data: questions } = await supabase
-      .from("mcq_questions")
-      .select("id, topic, stem, choices, correct_key, position")
-      .eq("exam_id", tok.exam_id)
-      .order("position");
+    // Get the questions this attempt was given
+    const questions = await attemptQuestions(att, "id, topic, stem, choices, correct_key, position");
 
     // Get essay submissions
     const { data: essays } = await supabase
       .from("essay_submissions")
-      .select("prompt_id, content, grading_state, total_score, concept_score, calc_score, comm_score, performance_band, pass4_aggregate, submitted_at")
+      .select("prompt_id, content, grading_state, total_score, concept_score, calc_score, comm_score, performance_band, pass4_aggregate, graded_by, submitted_at")
       .eq("attempt_id", attemptId);
 
     // Merge responses into questions
     const responseMap = {};
     (responses || []).forEach((r) => { responseMap[r.question_id] = r; });
 
+    // Reported in canonical order; shown_position is where this candidate saw the question
+    const shownPosition = new Map((presentation?.question_order || []).map((id, i) => [id, i + 1]));
     const detailed = (questions || []).map((q) => ({
       position: q.position,
+      shown_position: shownPosition.get(q.id) ?? q.position,
       topic: q.topic,
       stem: q.stem,
       choices: q.choices,
@@ -637,7 +4749,7 @@ app.get("/api/admin/exam/:token/attempts/:attemptId", async (req, res) => {
 
     res.json({
       ok: true,
-      attempt: att,
+      attempt: { ...attempt, shuffled: Boolean(presentation), assembled: Boolean(att.question_ids) },
       summary: { correct, answered, total: detailed.length, mcq_score: att.mcq_score },
       questions: detailed,
       essays: essays || [],
@@ -684,26 +4796,19 @@ Grade the student response and return a JSON object with:
 
 Be fair but rigorous. CMA exam standards apply. Return ONLY valid JSON, no markdown.`;
 
-  if (!anthropic) {
-    throw new Error("ANTHROPIC_API_KEY not configured — cannot grade essays");
-  }
-
-  const message = await anthropic.messages.create({
-    model: CLAUDE_MODEL,
-    max_tokens: 2048,
+  const completion = await llmChat("grading", {
+    maxTokens: 2048,
     messages: [
       { role: "user", content: `${gradingPrompt}\n\nSTUDENT RESPONSE:\n${submission.content}` },
     ],
     temperature: 0.2,
   });
 
-  const raw = message.content?.[0]?.text || "{}";
+  const graded_by = { provider: completion.provider, model: completion.model };
   try {
-    // Strip markdown code fences if present
-    const cleaned = raw.replace(/^```json?\s*/i, "").replace(/```\s*$/i, "").trim();
-    return JSON.parse(cleaned);
+    return { ...parseLlmJson(completion.text), graded_by };
   } catch {
-    return { concept_score: 0, calc_score: 0, comm_score: 0, total_score: 0, performance_band: "fail", feedback: "Grading error. Please contact administrator." };
+    return { concept_score: 0, calc_score: 0, comm_score: 0, total_score: 0, performance_band: "fail", feedback: "Grading error. Please contact administrator.", graded_by };
   }
 }
 
@@ -769,11 +4874,13 @@ app.post("/api/admin/exam/:token/attempts/:attemptId/grade-essays", async (req,
             total_score: grade.total_score,
             performance_band: grade.performance_band,
             pass4_aggregate: grade.feedback,
+            // { provider, model }: which model produced these scores, for later audits
+            graded_by: grade.graded_by,
             graded_at: new Date().toISOString(),
           })
           .eq("id", sub.id);
 
-        results.push({ prompt_id: sub.prompt_id, status: "graded", score: grade.total_score, band: grade.performance_band });
+        results.push({ prompt_id: sub.prompt_id, status: "graded", score: grade.total_score, band: grade.performance_band, graded_by: grade.graded_by });
       } catch (gradeErr) {
         await supabase
           .from("essay_submissions")
@@ -825,7 +4932,7 @@ app.get("/api/exam/:token/results/:attemptId", async (req, res) => {
 
     const { data: att } = await supabase
       .from("mock_attempts")
-      .select("id, state, guest_name, guest_email, mcq_score, essay_score, total_score, started_at, submitted_at, pass_threshold, metadata")
+      .select("id, state, guest_name, guest_email, mcq_score, essay_score, total_score, started_at, submitted_at, timed_out, mcq_timed_out, pass_threshold, metadata")
       .eq("id", attemptId)
       .eq("access_token_id", tok.id)
       .single();
@@ -838,26 +4945,7 @@ app.get("/api/exam/:token/results/:attemptId", async (req, res) => {
       .single();
 
     // MCQ summary by topic
-    const { data: responses } = await supabase
-      .from("mcq_responses")
-      .select("question_id, is_correct")
-      .eq("attempt_id", attemptId);
-
-    const { data: questions } = await supabase
-      .from("mcq_questions")
-      .select("id, topic")
-      .eq("exam_id", tok.exam_id);
-
-    const topicMap = {};
-    (questions || []).forEach((q) => { topicMap[q.id] = q.topic; });
-
-    const topicBreakdown = {};
-    (responses || []).forEach((r) => {
-      const topic = topicMap[r.question_id] || "Unknown";
-      if (!topicBreakdown[topic]) topicBreakdown[topic] = { correct: 0, total: 0 };
-      topicBreakdown[topic].total++;
-      if (r.is_correct) topicBreakdown[topic].correct++;
-    });
+    const { topicBreakdown, responses } = await mcqTopicBreakdown(attemptId);
 
     // Essay results (graded only)
     const { data: essays } = await supabase
@@ -908,6 +4996,8 @@ app.get("/api/exam/:token/results/:attemptId", async (req, res) => {
       essays: essayResults,
       started_at: att.started_at,
       submitted_at: att.submitted_at,
+      timed_out: att.timed_out === true,
+      mcq_timed_out: att.mcq_timed_out === true,
     });
   } catch (e) {
     console.error(e);
@@ -915,6 +5005,473 @@ app.get("/api/exam/:token/results/:attemptId", async (req, res) => {
   }
 });
 
+// ---- Mistake explanations ----
+// Stored question explanations are used as-is; otherwise one is generated from the library and
+// cached in mcq_mistake_explanations per (question_id, selected_key) so every candidate who picks
+// the same distractor gets the same text without another model call.
+
+async function generateMistakeExplanation(q, selectedKey) {
+  const choiceText = (key) => (q.choices || []).find((c) => c.key === key)?.text || "";
+  const query = `${q.stem}\n${choiceText(q.correct_key)}`;
+  const retrieved = await retrieveContext({
+    queryEmbedding: await embedOne(query),
+    queryText: q.stem,
+    topK: MISTAKE_SOURCE_CHUNKS,
+  });
+  const { block, hits } = await packContext(retrieved, { maxTokens: MISTAKE_CONTEXT_TOKENS });
+
+  const completion = await llmChat("mistakes", {
+    messages: [
+      {
+        role: "system",
+        content: [
+          "You explain a missed CMA exam question to the candidate, using the library excerpts.",
+          "Say why the chosen answer is wrong (the misconception behind it) and why the correct answer is right, showing any calculation.",
+          "Cite excerpts as [doc | page | chunk]. If the excerpts don't cover it, explain from the question alone and cite nothing.",
+          'Return ONLY JSON: {"why_wrong":"...","why_right":"..."}',
+        ].join("\n"),
+      },
+      {
+        role: "user",
+        content:
+          `QUESTION:\n${q.stem}\n\n${(q.choices || []).map((c) => `${c.key}. ${c.text}`).join("\n")}\n\n` +
+          `CHOSEN: ${selectedKey}\nCORRECT: ${q.correct_key}\n\nLIBRARY EXCERPTS:\n${block || "(none)"}`,
+      },
+    ],
+    temperature: 0.2,
+    json: true,
+  });
+
+  const parsed = parseLlmJson(completion.text);
+  const whyWrong = sanitizeText(parsed.why_wrong || "");
+  const whyRight = sanitizeText(parsed.why_right || "");
+  return {
+    why_wrong: whyWrong,
+    why_right: whyRight,
+    citations: verifyCitations(`${whyWrong}\n${whyRight}`, hits)
+      .filter((c) => c.verified)
+      .map(({ document_id, page_number, chunk_index, excerpt }) => ({ document_id, page_number, chunk_index, excerpt })),
+    provider: completion.provider,
+    model: completion.model,
+  };
+}
+
+async function explainMistake(q, selectedKey) {
+  if (q.explanation && String(q.explanation).trim()) {
+    return { source: "question", explanation: q.explanation, why_wrong: null, why_right: null, citations: [] };
+  }
+
+  const { data: cached } = await supabase
+    .from("mcq_mistake_explanations")
+    .select("why_wrong, why_right, citations")
+    .eq("question_id", q.id)
+    .eq("selected_key", selectedKey)
+    .maybeSingle();
+  if (cached) return { source: "cache", explanation: null, ...cached };
+
+  const generated = await generateMistakeExplanation(q, selectedKey);
+  // two candidates missing the same item at once both generate; the unique key keeps the first
+  const { error } = await supabase
+    .from("mcq_mistake_explanations")
+    .upsert(
+      { question_id: q.id, selected_key: selectedKey, ...generated },
+      { onConflict: "question_id,selected_key", ignoreDuplicates: true }
+    );
+  if (error) console.warn("mistake explanation cache write failed:", error.message);
+
+  return {
+    source: "generated",
+    explanation: null,
+    why_wrong: generated.why_wrong,
+    why_right: generated.why_right,
+    citations: generated.citations,
+  };
+}
+
+app.get("/api/exam/:token/results/:attemptId/mistakes", async (req, res) => {
+  try {
+    const tok = await resolveToken(req.params.token);
+    if (!tok) return jsonError(res, 403, "invalid_or_expired_token");
+
+    const { attemptId } = req.params;
+
+    const { data: att } = await supabase
+      .from("mock_attempts")
+      .select("id, exam_id, state, question_ids")
+      .eq("id", attemptId)
+      .eq("access_token_id", tok.id)
+      .single();
+    if (!att) return jsonError(res, 404, "attempt_not_found");
+    // explanations give away the key, so only after the attempt is submitted
+    if (att.state === "in_progress") return jsonError(res, 400, "attempt_not_submitted");
+
+    const { data: responses } = await supabase
+      .from("mcq_responses")
+      .select("question_id, selected_key")
+      .eq("attempt_id", attemptId)
+      .eq("is_correct", false);
+
+    const answered = (responses || []).filter((r) => r.selected_key);
+    // positions as in the admin detail view: the drawn form's order for blueprint attempts
+    const questions = await attemptQuestions(att, "id, position, section_id, topic, stem, choices, correct_key, explanation");
+    const byId = new Map(questions.map((q) => [q.id, q]));
+
+    const wrong = answered
+      .filter((r) => byId.has(r.question_id))
+      .sort((a, b) => byId.get(a.question_id).position - byId.get(b.question_id).position);
+
+    const mistakes = [];
+    for (let i = 0; i < wrong.length; i += 4) {
+      const batch = await Promise.all(
+        wrong.slice(i, i + 4).map(async (r) => {
+          const q = byId.get(r.question_id);
+          let explained;
+          try {
+            explained = await explainMistake(q, r.selected_key);
+          } catch (e) {
+            console.warn(`mistake explanation failed for ${q.id}:`, e?.message || e);
+            explained = { source: "unavailable", explanation: null, why_wrong: null, why_right: null, citations: [] };
+          }
+          return {
+            question_id: q.id,
+            position: q.position,
+            section_id: q.section_id,
+            topic: q.topic,
+            stem: q.stem,
+            choices: q.choices,
+            selected_key: r.selected_key,
+            correct_key: q.correct_key,
+            ...explained,
+          };
+        })
+      );
+      mistakes.push(...batch);
+    }
+
+    res.json({
+      ok: true,
+      attempt_id: attemptId,
+      wrong: mistakes.length,
+      // skipped questions have no distractor to explain; the results page already counts them
+      unanswered: (responses || []).length - answered.length,
+      mistakes,
+    });
+  } catch (e) {
+    console.error(e);
+    return jsonError(res, 500, "mistakes_failed", String(e?.message || e));
+  }
+});
+
+// ---- Study plan ----
+// Ranks topics by (1 - score) x blueprint weight and spreads the days left before the exam over
+// the weak ones, each day with library pages to read and a practice question count.
+
+// IMA content specification outline weights; topics not listed get the mean weight
+const CMA_TOPIC_WEIGHTS = {
+  // Part 1
+  "External Financial Reporting Decisions": 0.15,
+  "Planning, Budgeting and Forecasting": 0.2,
+  "Performance Management": 0.2,
+  "Cost Management": 0.15,
+  "Internal Controls": 0.15,
+  "Technology and Analytics": 0.15,
+  // Part 2
+  "Financial Statement Analysis": 0.2,
+  "Corporate Finance": 0.2,
+  "Decision Analysis": 0.25,
+  "Risk Management": 0.1,
+  "Investment Decisions": 0.1,
+  "Professional Ethics": 0.15,
+};
+const STUDY_PLAN_FORMATS = ["json", "ics"];
+const ESSAY_SKILLS = { concept_score: "concepts", calc_score: "calculations", comm_score: "communication" };
+
+// { topic: { correct, total } } over an attempt's MCQ responses
+// Looks questions up by id rather than exam, so drawn forms (whose bank may span exams) work too
+async function mcqTopicBreakdown(attemptId) {
+  const { data: responses } = await supabase
+    .from("mcq_responses")
+    .select("question_id, is_correct")
+    .eq("attempt_id", attemptId);
+
+  const { data: questions } = await supabase
+    .from("mcq_questions")
+    .select("id, topic")
+    .in("id", (responses || []).map((r) => r.question_id));
+
+  const topicMap = {};
+  (questions || []).forEach((q) => { topicMap[q.id] = q.topic; });
+
+  const topicBreakdown = {};
+  (responses || []).forEach((r) => {
+    const topic = topicMap[r.question_id] || "Unknown";
+    if (!topicBreakdown[topic]) topicBreakdown[topic] = { correct: 0, total: 0 };
+    topicBreakdown[topic].total++;
+    if (r.is_correct) topicBreakdown[topic].correct++;
+  });
+  return { topicBreakdown, responses: responses || [] };
+}
+
+function rankStudyTopics(topicBreakdown, essays) {
+  const known = Object.values(CMA_TOPIC_WEIGHTS);
+  const meanWeight = known.reduce((s, w) => s + w, 0) / known.length;
+
+  const topics = {};
+  for (const [topic, { correct, total }] of Object.entries(topicBreakdown)) {
+    if (topic === "Unknown" || !total) continue;
+    topics[topic] = { topic, mcq: correct / total, essay: [] };
+  }
+  // essay prompts carry "Topic — Subtopic"; credit the score to the outline topic
+  for (const e of essays) {
+    const topic = String(e.topic || "").split(" — ")[0].trim();
+    if (!topic || e.total_score == null) continue;
+    topics[topic] ||= { topic, mcq: null, essay: [] };
+    topics[topic].essay.push(e.total_score / 100);
+  }
+
+  return Object.values(topics)
+    .map((t) => {
+      const parts = [t.mcq, ...t.essay].filter((v) => v != null);
+      const score = parts.reduce((s, v) => s + v, 0) / parts.length;
+      const weight = CMA_TOPIC_WEIGHTS[t.topic] ?? meanWeight;
+      return {
+        topic: t.topic,
+        score: Math.round(score * 1000) / 1000,
+        weight,
+        priority: Math.round((1 - score) * weight * 1000) / 1000,
+      };
+    })
+    .sort((a, b) => b.priority - a.priority);
+}
+
+// Largest-remainder split of `days` by priority, then ordered so no topic runs two days in a row
+// when there is another to switch to
+function allocateStudyDays(topics, days) {
+  const total = topics.reduce((s, t) => s + t.priority, 0);
+  const alloc = topics.map((t) => {
+    // nothing to prioritise (every topic mastered): split evenly
+    const exact = total > 0 ? (t.priority / total) * days : days / topics.length;
+    return { topic: t.topic, days: Math.floor(exact), rest: exact % 1 };
+  });
+  let left = days - alloc.reduce((s, a) => s + a.days, 0);
+  const byRest = [...alloc].sort((x, y) => y.rest - x.rest);
+  for (let i = 0; left > 0; i++, left--) byRest[i % byRest.length].days++;
+
+  const used = new Map(alloc.map((a) => [a.topic, 0]));
+  const order = [];
+  for (let d = 0; d < days; d++) {
+    const open = alloc.filter((a) => used.get(a.topic) < a.days);
+    const prev = order[order.length - 1];
+    const pool = open.length > 1 ? open.filter((a) => a.topic !== prev) : open;
+    if (!pool.length) break;
+    const next = pool.reduce((best, a) =>
+      (a.days - used.get(a.topic)) / a.days > (best.days - used.get(best.topic)) / best.days ? a : best
+    );
+    used.set(next.topic, used.get(next.topic) + 1);
+    order.push(next.topic);
+  }
+  return order;
+}
+
+// Library pages for a topic, best documents first: [{ document_id, pages: [..] }]
+async function studyReadings(topic) {
+  const hits = await retrieveContext({
+    queryEmbedding: await embedOne(topic),
+    queryText: topic,
+    topK: STUDY_PLAN_SOURCE_CHUNKS,
+  });
+  const byDoc = new Map();
+  for (const h of hits) {
+    if (!byDoc.has(h.document_id)) byDoc.set(h.document_id, new Set());
+    byDoc.get(h.document_id).add(h.page_number);
+  }
+  return [...byDoc].map(([document_id, pages]) => ({ document_id, pages: [...pages].sort((a, b) => a - b) }));
+}
+
+// Topic per study day: everything below mastery, or the three weakest when nothing is. The last
+// day is kept for a timed mock once there's room for it.
+function studyDayOrder(ranked, days) {
+  const weak = ranked.filter((t) => t.score < STUDY_PLAN_MASTERY);
+  const focus = weak.length ? weak : ranked.slice(0, 3);
+  const studyDays = days >= 3 ? days - 1 : days;
+  return focus.length ? allocateStudyDays(focus, studyDays) : [];
+}
+
+function buildStudySchedule({ order, readings, essaySkills, startDate, days, minutesPerDay }) {
+  const studyDays = order.length;
+  const practice = Math.max(5, Math.round((minutesPerDay * 0.4) / STUDY_PLAN_MINUTES_PER_MCQ));
+
+  const seen = new Map();
+  const schedule = order.map((topic, i) => {
+    const nth = seen.get(topic) || 0;
+    seen.set(topic, nth + 1);
+    const docs = readings[topic] || [];
+    const doc = docs.length ? docs[nth % docs.length] : null;
+    return {
+      date: addDays(startDate, i),
+      topic,
+      reading: doc ? [doc] : [],
+      practice_questions: practice,
+      // essay drills every fourth day, weakest skill first
+      essay_practice: essaySkills.length && i % 4 === 3 ? essaySkills[Math.floor(i / 4) % essaySkills.length] : null,
+    };
+  });
+
+  if (studyDays < days) {
+    schedule.push({
+      date: addDays(startDate, days - 1),
+      topic: "Full review",
+      reading: [],
+      practice_questions: 0,
+      essay_practice: null,
+      mock_exam: true,
+    });
+  }
+  return schedule;
+}
+
+function addDays(isoDate, n) {
+  const d = new Date(`${isoDate}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+// RFC 5545 text escaping + 75-octet line folding
+function icsText(s) {
+  return String(s).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+function icsFold(line) {
+  const out = [];
+  let cur = "";
+  for (const ch of line) {
+    if (Buffer.byteLength(cur + ch) > (out.length ? 74 : 75)) {
+      out.push(cur);
+      cur = "";
+    }
+    cur += ch;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+function studyPlanToIcs(plan, attemptId) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//cma-tutor//study-plan//EN", "CALSCALE:GREGORIAN"];
+  for (const day of plan.schedule) {
+    const desc = [
+      ...day.reading.map((r) => `Read ${r.document_id}, pages ${r.pages.join(", ")}`),
+      day.practice_questions ? `${day.practice_questions} practice MCQs` : null,
+      day.essay_practice ? `Essay practice: ${day.essay_practice}` : null,
+      day.mock_exam ? "Timed full mock exam" : null,
+    ].filter(Boolean);
+    const date = day.date.replace(/-/g, "");
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${attemptId}-${date}@cma-study-plan`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${date}`,
+      `DTEND;VALUE=DATE:${addDays(day.date, 1).replace(/-/g, "")}`,
+      `SUMMARY:${icsText(`Study: ${day.topic}`)}`,
+      `DESCRIPTION:${icsText(desc.join("\n"))}`,
+      "END:VEVENT"
+    );
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(icsFold).join("\r\n") + "\r\n";
+}
+
+app.get("/api/exam/:token/results/:attemptId/study-plan", async (req, res) => {
+  try {
+    const tok = await resolveToken(req.params.token);
+    if (!tok) return jsonError(res, 403, "invalid_or_expired_token");
+
+    const { attemptId } = req.params;
+    const format = req.query.format || "json";
+    if (!STUDY_PLAN_FORMATS.includes(format)) {
+      return jsonError(res, 400, `format must be one of: ${STUDY_PLAN_FORMATS.join(", ")}`);
+    }
+
+    const examDate = String(req.query.exam_date || "");
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(examDate) || Number.isNaN(Date.parse(examDate))) {
+      return jsonError(res, 400, "exam_date required (YYYY-MM-DD)");
+    }
+    const today = new Date().toISOString().slice(0, 10);
+    const days = Math.round((Date.parse(examDate) - Date.parse(today)) / 86400000);
+    if (days < 1) return jsonError(res, 400, "exam_date must be in the future");
+    if (days > STUDY_PLAN_MAX_DAYS) return jsonError(res, 400, `exam_date must be within ${STUDY_PLAN_MAX_DAYS} days`);
+    const minutesPerDay = Math.min(Math.max(Number(req.query.minutes_per_day) || 90, 15), 600);
+
+    const { data: att } = await supabase
+      .from("mock_attempts")
+      .select("id, exam_id, state")
+      .eq("id", attemptId)
+      .eq("access_token_id", tok.id)
+      .single();
+    if (!att) return jsonError(res, 404, "attempt_not_found");
+    if (att.state === "in_progress") return jsonError(res, 400, "attempt_not_submitted");
+
+    const { topicBreakdown } = await mcqTopicBreakdown(attemptId);
+
+    const { data: subs } = await supabase
+      .from("essay_submissions")
+      .select("prompt_id, grading_state, total_score, concept_score, calc_score, comm_score")
+      .eq("attempt_id", attemptId)
+      .eq("grading_state", "graded");
+    const { data: prompts } = await supabase
+      .from("essay_prompts")
+      .select("id, metadata")
+      .eq("exam_id", att.exam_id);
+    const promptTopic = new Map((prompts || []).map((p) => [p.id, p.metadata?.topic]));
+    const essays = (subs || []).map((s) => ({ ...s, topic: promptTopic.get(s.prompt_id) }));
+
+    // essay skills averaged over graded essays, weakest first, only those below mastery
+    const essaySkills = Object.entries(ESSAY_SKILLS)
+      .map(([col, skill]) => {
+        const vals = essays.map((e) => e[col]).filter((v) => v != null);
+        return { skill, score: vals.length ? vals.reduce((s, v) => s + v, 0) / vals.length / 100 : null };
+      })
+      .filter((s) => s.score != null && s.score < STUDY_PLAN_MASTERY)
+      .sort((a, b) => a.score - b.score)
+      .map((s) => s.skill);
+
+    const ranked = rankStudyTopics(topicBreakdown, essays);
+    if (ranked.length === 0) return jsonError(res, 400, "no_scored_topics");
+
+    // readings for exactly the topics that get study days
+    const order = studyDayOrder(ranked, days);
+    const readings = {};
+    for (const topic of new Set(order)) {
+      try {
+        readings[topic] = await studyReadings(topic);
+      } catch (e) {
+        console.warn(`study plan readings failed for ${topic}:`, e?.message || e);
+      }
+    }
+
+    const plan = {
+      attempt_id: attemptId,
+      exam_date: examDate,
+      days_left: days,
+      minutes_per_day: minutesPerDay,
+      topics: ranked,
+      essay_skills: essaySkills,
+      schedule: buildStudySchedule({ order, readings, essaySkills, startDate: today, days, minutesPerDay }),
+    };
+
+    if (format === "ics") {
+      res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="study-plan-${examDate}.ics"`);
+      return res.send(studyPlanToIcs(plan, attemptId));
+    }
+
+    res.json({ ok: true, ...plan });
+  } catch (e) {
+    console.error(e);
+    return jsonError(res, 500, "study_plan_failed", String(e?.message || e));
+  }
+});
+
 // Admin: delete specific attempts and all related data
 app.post("/api/admin/exam/:token/delete-attempts", async (req, res) => {
   try {
@@ -955,6 +5512,19 @@ app.post("/api/admin/exam/:token/delete-attempts", async (req, res) => {
 });
 
 // ---- start ----
-app.listen(PORT, "0.0.0.0", () => {
-  console.log(`API listening on http://0.0.0.0:${PORT}`);
-});
+// Scripts that import the helpers below (e.g. eval-retrieval.js) set SERVER_NO_LISTEN=1
+if (!process.env.SERVER_NO_LISTEN) {
+  app.listen(PORT, "0.0.0.0", () => {
+    console.log(`API listening on http://0.0.0.0:${PORT}`);
+  });
+
+  if (EXAM_SWEEP_INTERVAL_MS > 0) {
+    setInterval(() => {
+      sweepExpiredAttempts()
+        .then((r) => r.closed && console.log(`exam sweeper: closed ${r.closed} expired section(s)`))
+        .catch((e) => console.error("exam sweeper failed:", e?.message || e));
+    }, EXAM_SWEEP_INTERVAL_MS).unref();
+  }
+}
+
+export { app, retrieveContext, llmEmbed, compileNoiseRule, DEFAULT_NOISE_RULES, DOCUMENTS_TABLE, EMBED_MODEL };
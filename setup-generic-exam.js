@@ -8,6 +8,15 @@ const sb = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_R
 const OLD_EXAM = "7e48129a-35ae-41a2-9cb8-8bb3f7227578";
 const INSTITUTE = "fbfea684-cece-4025-a812-baff14c4a8ba";
 
+// Questions per form, drawn from OLD_EXAM's bank when each attempt starts
+const QUOTAS = {
+  "External Financial Reporting Decisions": 20,
+  "Planning, Budgeting and Forecasting": 24,
+  "Performance Management": 24,
+  "Cost Management": 14,
+  "Internal Controls": 18,
+};
+
 async function main() {
   // 1. Create new generic exam
   const { data: exam, error: examErr } = await sb
@@ -29,6 +38,7 @@ async function main() {
       pass_threshold: 360,
       institute_id: INSTITUTE,
       access_mode: "token",
+      blueprint: { bank_exam_ids: [OLD_EXAM], topics: QUOTAS },
     })
     .select("id")
     .single();
@@ -39,71 +49,24 @@ async function main() {
   }
   console.log("NEW_EXAM_ID:", exam.id);
 
-  // 2. Get all MCQs from old exam
+  // 2. Check the bank covers the blueprint (each attempt draws its own 100 at start)
   const { data: allMcqs } = await sb
     .from("mcq_questions")
-    .select("*")
-    .eq("exam_id", OLD_EXAM)
-    .order("position");
+    .select("topic")
+    .eq("exam_id", OLD_EXAM);
 
   const byTopic = {};
   allMcqs.forEach((q) => {
     const t = q.topic || "Unknown";
-    if (!byTopic[t]) byTopic[t] = [];
-    byTopic[t].push(q);
+    byTopic[t] = (byTopic[t] || 0) + 1;
   });
 
-  console.log("TOPICS:");
-  Object.entries(byTopic).forEach(([t, qs]) =>
-    console.log("  " + t + ": " + qs.length)
+  console.log("BANK:");
+  Object.entries(QUOTAS).forEach(([t, count]) =>
+    console.log("  " + t + ": " + (byTopic[t] || 0) + " in bank, " + count + " per form")
   );
 
-  // 3. Select 100 MCQs proportionally
-  const quotas = {
-    "External Financial Reporting Decisions": 20,
-    "Planning, Budgeting and Forecasting": 24,
-    "Performance Management": 24,
-    "Cost Management": 14,
-    "Internal Controls": 18,
-  };
-
-  const selected = [];
-  let pos = 1;
-  for (const [topic, count] of Object.entries(quotas)) {
-    const pool = byTopic[topic] || [];
-    const shuffled = pool.sort(() => Math.random() - 0.5);
-    const picked = shuffled.slice(0, count);
-    picked.forEach((q) => {
-      selected.push({
-        exam_id: exam.id,
-        section_id: q.section_id,
-        topic: q.topic,
-        stem: q.stem,
-        choices: q.choices,
-        correct_key: q.correct_key,
-        explanation: q.explanation,
-        difficulty: q.difficulty,
-        position: pos++,
-        source_chunk_id: q.source_chunk_id,
-        metadata: q.metadata,
-      });
-    });
-  }
-
-  console.log("SELECTED_MCQs:", selected.length);
-
-  // 4. Insert MCQs
-  for (let i = 0; i < selected.length; i += 50) {
-    const batch = selected.slice(i, i + 50);
-    const { error } = await sb.from("mcq_questions").insert(batch);
-    if (error) {
-      console.log("MCQ_INSERT_ERR at", i, ":", error.message);
-      return;
-    }
-  }
-  console.log("MCQs inserted");
-
-  // 5. Insert 2 essay prompts
+  // 3. Insert 2 essay prompts
   const essays = [
     {
       exam_id: exam.id,
@@ -142,7 +105,7 @@ async function main() {
   }
   console.log("Essays inserted");
 
-  // 6. Create access token
+  // 4. Create access token
   const { data: token, error: tokErr } = await sb
     .from("exam_access_tokens")
     .insert({
@@ -9,7 +9,8 @@ const sb = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_R
 
 const PART2_EXAM_ID = "f0a1b2c3-d4e5-f6a7-b8c9-d0e1f2a3b4c5"; // deterministic ID
 
-// CMA Part 2 topic distribution (official weights)
+// CMA Part 2 topic distribution (official weights): questions per form. All parsed questions go
+// into the exam as its bank and each attempt draws its own form from it at start.
 const TOPIC_QUOTAS = {
   "Financial Statement Analysis": 17,  // 20% but only 17 available
   "Corporate Finance": 22,            // fill to reach 100
@@ -50,28 +51,25 @@ async function main() {
     essay_minutes: 60,
     pass_threshold: 72,
     is_published: true,
+    blueprint: { topics: TOPIC_QUOTAS },
   });
   if (examErr) { console.error("Exam insert error:", examErr); return; }
   console.log("   Created exam: CMA Part 2 — Practice Exam");
 
-  // 2. Select 100 MCQs from 144 parsed questions
-  console.log("\n2. Selecting 100 MCQs...");
+  // 2. Check the parsed questions cover the blueprint
+  console.log("\n2. Checking the question bank...");
   const allQs = JSON.parse(fs.readFileSync("part2-questions.json", "utf8"));
+  const selected = allQs.filter((q) => TOPIC_QUOTAS[q.topic]);
 
-  const selected = [];
   for (const [topic, quota] of Object.entries(TOPIC_QUOTAS)) {
-    const topicQs = allQs.filter((q) => q.topic === topic);
-    // Shuffle and take quota
-    const shuffled = topicQs.sort(() => Math.random() - 0.5);
-    const picked = shuffled.slice(0, quota);
-    console.log(`   ${topic}: ${picked.length}/${topicQs.length} (target ${quota})`);
-    selected.push(...picked);
+    const available = selected.filter((q) => q.topic === topic).length;
+    console.log(`   ${topic}: ${available} in bank, ${quota} per form${available < quota ? " (SHORT)" : ""}`);
   }
 
-  console.log(`   Total selected: ${selected.length}`);
+  console.log(`   Bank size: ${selected.length}`);
 
-  // 3. Insert MCQs
-  console.log("\n3. Inserting MCQs...");
+  // 3. Insert the bank
+  console.log("\n3. Inserting bank MCQs...");
   const topicToSection = {
     "Financial Statement Analysis": "cma_p2_a",
     "Corporate Finance": "cma_p2_b",
@@ -98,7 +96,7 @@ async function main() {
     const { error } = await sb.from("mcq_questions").insert(batch);
     if (error) { console.error(`   Insert error at batch ${i}:`, error); return; }
   }
-  console.log(`   Inserted ${mcqRows.length} MCQs`);
+  console.log(`   Inserted ${mcqRows.length} bank MCQs`);
 
   // 4. Section IDs — already exist in exam_sections table
   console.log("\n4. Using existing Part 2 sections: cma_p2_a, cma_p2_c");
@@ -315,7 +313,7 @@ Impact on performance evaluation:
     .from("mcq_questions")
     .select("id", { count: "exact", head: true })
     .eq("exam_id", PART2_EXAM_ID);
-  console.log(`   MCQs: ${qCount}`);
+  console.log(`   Bank MCQs: ${qCount} (${Object.values(TOPIC_QUOTAS).reduce((s, n) => s + n, 0)} per form)`);
 
   const { count: eCount } = await sb
     .from("essay_prompts")